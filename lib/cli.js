@@ -0,0 +1,35 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Check whether a module was started directly with `node <file>`
+ * (as opposed to being imported, e.g. by the realtime scheduler)
+ * @param {string} moduleUrl - `import.meta.url` of the calling module
+ * @returns {boolean}
+ */
+export function isMainModule(moduleUrl) {
+    if (!process.argv[1]) return false;
+    return path.resolve(process.argv[1]) === fileURLToPath(moduleUrl);
+}
+
+/**
+ * Whether the process was started with `--dry-run` (or DRY_RUN=1):
+ * syncs compute and print their changes but write nothing to PocketBase
+ * @returns {boolean}
+ */
+export function isDryRun() {
+    return process.argv.includes('--dry-run') || process.env.DRY_RUN === '1';
+}
+
+/**
+ * Run a sync's `run()` as a command line entry point
+ * @param {() => Promise<Object>} run - The sync to execute
+ */
+export async function runMain(run) {
+    try {
+        await run();
+    } catch (error) {
+        console.error(`\n⛔ FATAL ERROR: ${error.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Run `fn` over every item with at most `concurrency` calls in flight.
+ * Results keep the order of `items`.
+ * @param {Array} items
+ * @param {number} concurrency - Max parallel calls (values below 1 are treated as 1)
+ * @param {(item, index: number) => Promise<*>} fn
+ * @returns {Promise<Array>}
+ */
+export async function mapConcurrent(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Math.max(1, Math.min(concurrency || 1, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
+}
+
+/**
+ * Create a limiter that spaces calls to at most `perSecond` per second.
+ * Each `await limiter()` resolves once the caller may send its request.
+ * @param {number} perSecond - Requests per second; 0 or less disables the cap
+ * @returns {() => Promise<void>}
+ */
+export function createRateLimiter(perSecond) {
+    if (!(perSecond > 0)) return async () => {};
+
+    const gap = 1000 / perSecond;
+    let nextSlot = 0;
+
+    return async function limiter() {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + gap;
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    };
+}
@@ -0,0 +1,70 @@
+import { isDryRun } from './cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    COLLECTION: process.env.PB_EVENTS_COLLECTION || 'events',
+};
+
+/**
+ * Read a comma-separated list of numbers from the environment, e.g. EVENT_SEAT_MILESTONES=100,200,251
+ * @param {string} envName
+ * @param {number[]} fallback
+ * @returns {number[]}
+ */
+export function milestonesFrom(envName, fallback) {
+    const value = process.env[envName];
+    if (!value) return fallback;
+    return value.split(',').map(Number).filter(number => !Number.isNaN(number));
+}
+
+/**
+ * Milestones passed when a value goes from `before` to `after`
+ * @returns {number[]} Every milestone with before < milestone <= after
+ */
+export function crossed(before, after, milestones) {
+    if (typeof before !== 'number' || typeof after !== 'number') return [];
+    return milestones.filter(milestone => before < milestone && milestone <= after);
+}
+
+/**
+ * Build an event. `type` is a stable machine name for subscribers, `title` a
+ * ready-to-show sentence.
+ * @param {string} type - e.g. 'area-leader', 'seat-milestone'
+ * @param {string} title
+ * @param {Object} [details]
+ * @param {string} [details.record] - Id of the record the event is about
+ * @param {string} [details.collection] - Collection of that record
+ * @param {Object} [details.data] - Anything else subscribers need
+ */
+export function createEvent(type, title, { record = '', collection = '', data = {} } = {}) {
+    return { type, title, record, collection, data, occurredAt: new Date().toISOString() };
+}
+
+/**
+ * Write detected events to the events collection, one record each.
+ * @param {PocketBase} pb - Authenticated PocketBase instance
+ * @param {Array<Object>} events - Built with createEvent
+ * @returns {Promise<number>} Events written
+ */
+export async function recordEvents(pb, events) {
+    if (events.length === 0) return 0;
+
+    if (isDryRun()) {
+        console.log(`📣 Would record ${events.length} events:`);
+        for (const event of events) console.log(`   [📣 ${event.type}] ${event.title}`);
+        return 0;
+    }
+
+    let written = 0;
+    for (const event of events) {
+        try {
+            await pb.collection(CONFIG.COLLECTION).create(event);
+            console.log(`   [📣 ${event.type}] ${event.title}`);
+            written++;
+        } catch (error) {
+            // Like history, the event feed never fails the sync
+            console.error(`❌ Failed to record event "${event.title}": ${error.message}`);
+        }
+    }
+    return written;
+}
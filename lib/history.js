@@ -0,0 +1,51 @@
+import { isDryRun } from './cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    COLLECTION: process.env.PB_HISTORY_COLLECTION || 'history',
+};
+
+/**
+ * Append one snapshot of the records a sync run changed to the history collection.
+ *
+ * To stay compact over a whole election night there is one history record per
+ * run and scope, storing only the changed records as value rows:
+ *   { scope: 'candidates', takenAt, fields: ['totalVotes', 'rank'], entries: { <recordId>: [1234, 2] } }
+ * A time series for one record is rebuilt by reading its row from each snapshot of the scope.
+ *
+ * @param {PocketBase} pb - Authenticated PocketBase instance
+ * @param {string} scope - What the snapshot covers, e.g. 'candidates' or 'national'
+ * @param {string[]} fields - Fields to keep, in row order
+ * @param {Array<{ id: string, values: Object }>} changes - Records changed by the run
+ * @returns {Promise<Object|null>} The created history record, or null when nothing changed
+ */
+export async function recordSnapshot(pb, scope, fields, changes) {
+    if (changes.length === 0) return null;
+
+    const entries = {};
+    for (const change of changes) {
+        entries[change.id] = fields.map(field => change.values[field] ?? null);
+    }
+
+    const snapshot = {
+        scope,
+        takenAt: new Date().toISOString(),
+        fields,
+        entries,
+    };
+
+    if (isDryRun()) {
+        console.log(`🕒 Would record ${scope} history snapshot (${changes.length} records).`);
+        return null;
+    }
+
+    try {
+        const record = await pb.collection(CONFIG.COLLECTION).create(snapshot);
+        console.log(`🕒 Recorded ${scope} history snapshot (${changes.length} records).`);
+        return record;
+    } catch (error) {
+        // History is a side channel: never fail the sync because of it
+        console.error(`❌ Failed to record ${scope} history snapshot: ${error.message}`);
+        return null;
+    }
+}
@@ -0,0 +1,131 @@
+// --- CONFIGURATION ---
+const CONFIG = {
+    // Allowed distance from 100% for the candidate percentages of an area (rounding)
+    PERCENT_TOLERANCE: Number(process.env.INTEGRITY_PERCENT_TOLERANCE || 0.5),
+};
+
+/**
+ * Whether integrity violations should stop the write.
+ * INTEGRITY_MODE is 'warn' (default: log and write anyway) or 'block'.
+ */
+export function isBlocking() {
+    return process.env.INTEGRITY_MODE === 'block';
+}
+
+/**
+ * `goodVotes + invalidVotes + noVotes == totalVotes`
+ * @param {Object} totals - Object carrying the four counters (e.g. `item.statistics`)
+ * @returns {string[]} Violations
+ */
+export function checkVoteSum(totals) {
+    if (!totals) return [];
+    const { goodVotes, invalidVotes, noVotes, totalVotes } = totals;
+    const sum = goodVotes + invalidVotes + noVotes;
+    return sum === totalVotes
+        ? []
+        : [`goodVotes + invalidVotes + noVotes = ${sum}, but totalVotes = ${totalVotes}`];
+}
+
+/**
+ * `stationsReported <= totalStations`
+ * @param {Object} coverage - { stationsReported, totalStations }
+ * @returns {string[]} Violations
+ */
+export function checkCoverage(coverage) {
+    if (!coverage) return [];
+    const { stationsReported, totalStations } = coverage;
+    return stationsReported <= totalStations
+        ? []
+        : [`stationsReported ${stationsReported} exceeds totalStations ${totalStations}`];
+}
+
+/**
+ * Check every area of a candidate result list: percentages add up to about 100%
+ * and ranks are contiguous (1, 2, 3... with ties sharing a rank, as in 1, 1, 3).
+ * Areas that have not counted anything yet (all percentages and ranks 0) are skipped.
+ *
+ * @param {Array} candidates - Source items with `percentage`, `rank`
+ * @param {(candidate) => string|null} areaOf - Area key of a candidate; null to leave it out
+ * @returns {Array<{ label: string, message: string }>} Violations
+ */
+export function checkAreaResults(candidates, areaOf) {
+    const areas = new Map();
+    for (const candidate of candidates) {
+        const area = areaOf(candidate);
+        if (area === null) continue;
+        if (!areas.has(area)) areas.set(area, []);
+        areas.get(area).push(candidate);
+    }
+
+    const violations = [];
+    for (const [area, group] of areas) {
+        const total = group.reduce((sum, c) => sum + (c.percentage || 0), 0);
+        if (total > 0 && Math.abs(total - 100) > CONFIG.PERCENT_TOLERANCE) {
+            violations.push({ label: `Area ${area}`, message: `candidate percentages add up to ${total.toFixed(2)}%` });
+        }
+
+        const ranks = group.map(c => c.rank).sort((a, b) => a - b);
+        if (ranks.every(rank => !rank)) continue;
+        const isContiguous = ranks.every((rank, i) => rank === i + 1 || (i > 0 && rank === ranks[i - 1]));
+        if (!isContiguous) {
+            violations.push({ label: `Area ${area}`, message: `ranks are not contiguous: ${ranks.join(', ')}` });
+        }
+    }
+    return violations;
+}
+
+/**
+ * Fields whose value went down compared to the stored record.
+ * Fields the record does not have yet are ignored.
+ * @returns {string[]} Violations
+ */
+export function checkNotDecreased(existing, payload, fields) {
+    const violations = [];
+    for (const field of fields) {
+        const before = existing[field];
+        const after = payload[field];
+        if (typeof before !== 'number' || typeof after !== 'number') continue;
+        if (after < before) violations.push(`${field} went down: ${before} → ${after}`);
+    }
+    return violations;
+}
+
+/**
+ * Run the source-level integrity checks of a sync (see createSync `def.integrity`).
+ * Violations are logged; in block mode (INTEGRITY_MODE=block) the run is aborted
+ * before anything is written.
+ *
+ * @param {Array} items - Source items that passed schema validation
+ * @param {Object} integrity - { item?, items? }
+ * @param {Object} options
+ * @param {string} options.name - Sync name for log lines
+ * @param {(item) => string} options.label - Name of an item in log lines
+ * @returns {Array<{ label: string, message: string }>} Violations
+ * @throws {Error} In block mode, when there is any violation
+ */
+export function verifyItems(items, integrity, { name, label }) {
+    const violations = [];
+
+    if (integrity.item) {
+        for (const item of items) {
+            for (const message of integrity.item(item)) {
+                violations.push({ label: label(item), message });
+            }
+        }
+    }
+    if (integrity.items) {
+        violations.push(...integrity.items(items));
+    }
+
+    if (violations.length === 0) return violations;
+
+    console.warn(`🛑 ${violations.length} integrity violations in ${name} source data:`);
+    for (const { label: itemLabel, message } of violations) {
+        console.warn(`   [🛑 INTEGRITY] ${itemLabel}: ${message}`);
+    }
+
+    if (isBlocking()) {
+        throw new Error(`Integrity checks failed for ${name} (${violations.length} violations). Nothing was written.`);
+    }
+    return violations;
+}
@@ -0,0 +1,75 @@
+// --- CONFIGURATION ---
+const CONFIG = {
+    SEATS: Number(process.env.PARTYLIST_SEATS || 100),
+    // Parties below this share of the party-list vote (in %) get no seats; 0 = no threshold
+    THRESHOLD_PERCENT: Number(process.env.PARTYLIST_THRESHOLD_PERCENT || 0),
+};
+
+/**
+ * Hamilton / largest remainder: every party gets the whole part of its quota,
+ * the seats left over go to the largest remainders (ties: more votes first, then input order)
+ */
+function largestRemainder(parties, seats) {
+    const total = parties.reduce((sum, party) => sum + party.votes, 0);
+    const result = new Map(parties.map(party => [party.id, 0]));
+    if (total === 0 || seats <= 0) return result;
+
+    const quotas = parties.map((party, index) => {
+        const quota = (party.votes * seats) / total;
+        return { party, index, whole: Math.floor(quota), remainder: quota - Math.floor(quota) };
+    });
+    let left = seats;
+    for (const { party, whole } of quotas) {
+        result.set(party.id, whole);
+        left -= whole;
+    }
+
+    const order = [...quotas].sort((a, b) => b.remainder - a.remainder || b.party.votes - a.party.votes || a.index - b.index);
+    for (const { party } of order) {
+        if (left <= 0) break;
+        result.set(party.id, result.get(party.id) + 1);
+        left--;
+    }
+    return result;
+}
+
+/**
+ * Allocate party-list seats by largest remainder.
+ *
+ * Parties under the vote threshold are left out before quotas are computed. A party
+ * cannot get more seats than it has list candidates: it is capped at its list size and
+ * the seats it cannot fill are shared among the other parties.
+ *
+ * @param {Array<{ id: string, votes: number, listSize?: number }>} parties
+ * @param {Object} [options]
+ * @param {number} [options.seats] - Seats to allocate (default PARTYLIST_SEATS, 100)
+ * @param {number} [options.thresholdPercent] - Minimum share of the vote in % (default PARTYLIST_THRESHOLD_PERCENT)
+ * @returns {Map<string, number>} party id -> seats (0 for parties without seats)
+ */
+export function allocateSeats(parties, options = {}) {
+    const { seats = CONFIG.SEATS, thresholdPercent = CONFIG.THRESHOLD_PERCENT } = options;
+    const total = parties.reduce((sum, party) => sum + (party.votes || 0), 0);
+    const result = new Map(parties.map(party => [party.id, 0]));
+
+    let pool = parties
+        .map(party => ({ ...party, votes: party.votes || 0 }))
+        .filter(party => party.votes > 0 && (party.votes / total) * 100 >= thresholdPercent);
+    let left = seats;
+
+    while (pool.length > 0 && left > 0) {
+        const allocation = largestRemainder(pool, left);
+        const capped = pool.filter(party => party.listSize !== undefined && allocation.get(party.id) > party.listSize);
+
+        if (capped.length === 0) {
+            for (const [id, value] of allocation) result.set(id, value);
+            break;
+        }
+        for (const party of capped) {
+            result.set(party.id, party.listSize);
+            left -= party.listSize;
+        }
+        pool = pool.filter(party => !capped.includes(party));
+    }
+
+    return result;
+}
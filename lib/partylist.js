@@ -0,0 +1,51 @@
+import { isDryRun } from './cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    COLLECTION: 'partylist',
+};
+
+/**
+ * Load the party-list candidates grouped by party id
+ * @param {PocketBase} pb - Authenticated PocketBase instance
+ * @returns {Promise<Map<string, Array<Object>>>}
+ */
+export async function loadPartylistByParty(pb) {
+    const records = await pb.collection(CONFIG.COLLECTION).getFullList();
+    const byParty = new Map();
+    for (const record of records) {
+        if (!byParty.has(record.party)) byParty.set(record.party, []);
+        byParty.get(record.party).push(record);
+    }
+    return byParty;
+}
+
+/**
+ * Set a boolean flag on the list candidates of a party that fall inside its seats and clear
+ * it on the others. Candidates are ranked by their list `number`, so #1..#seats get the flag.
+ * @param {PocketBase} pb - Authenticated PocketBase instance
+ * @param {Object} party - Party record ({ id, name })
+ * @param {Array<Object>} records - The party's list candidates, updated in place
+ * @param {number} seats
+ * @param {string} field - Flag to set, e.g. `elected` or `projectedElected`
+ */
+export async function syncListFlag(pb, party, records, seats, field) {
+    const isInside = record => record.number > 0 && record.number <= seats;
+    const changes = records.filter(record => record[field] !== isInside(record));
+    if (changes.length === 0) return;
+
+    if (isDryRun()) {
+        console.log(`   [🔁 WOULD UPDATE] ${party.name} party list ${field} (${changes.length} candidates, ${seats} seats)`);
+        for (const record of changes) {
+            console.log(`      #${record.number} ${record.name} ${field}: ${record[field]} → ${isInside(record)}`);
+        }
+        return;
+    }
+
+    for (const record of changes) {
+        const value = isInside(record);
+        await pb.collection(CONFIG.COLLECTION).update(record.id, { [field]: value });
+        record[field] = value;
+    }
+    console.log(`   [🔁 UPDATED] ${party.name} party list ${field} (${changes.length} candidates, ${seats} seats)`);
+}
@@ -0,0 +1,96 @@
+/**
+ * Shared handling of referendum question results, as the source API sends them
+ * nationally and per province / area:
+ *   { questionNumber, options: [{ optionCode, optionText, totalVotes, percentage, rank }], goodVotes, totalVotes, invalidVotes, noVotes }
+ * A question can have any number of options (agree / disagree / abstain...); they are
+ * stored as an `options` JSON list in source order.
+ */
+
+/**
+ * Schema check: a non-empty list of options, each with a code and a vote count
+ */
+export function isOptionList(options) {
+    if (!Array.isArray(options)) return 'expected array';
+    if (options.length === 0) return 'has no options';
+    const broken = options.findIndex(o => typeof o?.optionCode !== 'string' || typeof o?.totalVotes !== 'number');
+    return broken === -1 || `option ${broken + 1} needs optionCode (string) and totalVotes (number)`;
+}
+
+/**
+ * Schema of a question result (see lib/schema.js)
+ */
+export const RESULT_SCHEMA = {
+    questionNumber: 'number',
+    options: isOptionList,
+    goodVotes: 'number',
+    totalVotes: 'number',
+    invalidVotes: 'number',
+    noVotes: 'number',
+};
+
+/**
+ * Code of the option with the most votes; 'tie' when the top options are level, '' before any vote
+ */
+export function leadingOption(options) {
+    const [first, second] = [...options].sort((a, b) => b.totalVotes - a.totalVotes);
+    if (!first || first.totalVotes === 0) return '';
+    return second && second.totalVotes === first.totalVotes ? 'tie' : first.code;
+}
+
+/**
+ * Map source options to the stored `options` list
+ */
+export function optionsOf(item) {
+    return item.options.map(option => ({
+        code: option.optionCode,
+        text: option.optionText ?? null,
+        totalVotes: option.totalVotes,
+        percentage: option.percentage ?? null,
+        rank: option.rank ?? null,
+    }));
+}
+
+/**
+ * Flatten a question result into the fields stored for a question, province or area
+ * @returns {Object} { options, leading, goodVotes, totalVotes, invalidVotes, noVotes }
+ */
+export function resultFields(item) {
+    const options = optionsOf(item);
+    return {
+        options,
+        leading: leadingOption(options),
+        goodVotes: item.goodVotes,
+        totalVotes: item.totalVotes,
+        invalidVotes: item.invalidVotes,
+        noVotes: item.noVotes,
+    };
+}
+
+// Options that also had their own fields (agreeTotalVotes...) before results became an option list
+const LEGACY_OPTION_CODES = ['agree', 'disagree'];
+
+/**
+ * The agree* / disagree* fields older readers still use, filled from the option list.
+ * Codes the question does not have are left out, so their fields keep their last value.
+ * @returns {Object} e.g. { agreeTotalVotes, agreePercentage, agreeRank, disagreeTotalVotes, ... }
+ */
+export function legacyOptionFields(options) {
+    const fields = {};
+    for (const code of LEGACY_OPTION_CODES) {
+        const option = options.find(o => o.code === code);
+        if (!option) continue;
+        fields[`${code}TotalVotes`] = option.totalVotes;
+        fields[`${code}Percentage`] = option.percentage ?? 0;
+        fields[`${code}Rank`] = option.rank ?? 0;
+    }
+    return fields;
+}
+
+/**
+ * Integrity check: the option votes add up to the good votes
+ * @returns {string[]} Violations
+ */
+export function checkOptionSum(item) {
+    const sum = item.options.reduce((total, option) => total + option.totalVotes, 0);
+    return sum === item.goodVotes ? [] : [`options add up to ${sum}, but goodVotes = ${item.goodVotes}`];
+}
@@ -0,0 +1,96 @@
+// --- CONFIGURATION ---
+const CONFIG = {
+    ATTEMPTS: Number(process.env.RETRY_ATTEMPTS || 4), // total tries, including the first
+    BASE_DELAY_MS: Number(process.env.RETRY_BASE_DELAY_MS || 500),
+    MAX_DELAY_MS: Number(process.env.RETRY_MAX_DELAY_MS || 15000),
+};
+
+/**
+ * HTTP status of an axios or PocketBase error (0 when the request never got a response)
+ */
+function statusOf(error) {
+    if (error.response?.status) return error.response.status; // axios
+    if (typeof error.status === 'number') return error.status; // PocketBase ClientResponseError
+    return 0;
+}
+
+/**
+ * Whether a failed request is worth trying again.
+ * Network errors, timeouts, 429 and 5xx are transient; other 4xx (validation, auth, not found) are permanent.
+ * @param {Error} error - axios error or PocketBase ClientResponseError
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+    if (error.isAbort) return false;
+    const status = statusOf(error);
+    if (status === 0) return true;
+    return status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+/**
+ * Whether a failed non-idempotent request (a create) is safe to send again: only when the
+ * server refused it outright (429). After a timeout or a 5xx it may already have been written.
+ * @param {Error} error - axios error or PocketBase ClientResponseError
+ * @returns {boolean}
+ */
+export function isRetryableWrite(error) {
+    return !error.isAbort && statusOf(error) === 429;
+}
+
+/**
+ * Delay requested by a `Retry-After` header, in milliseconds
+ * @returns {number|null} null when the error carries no usable header
+ */
+export function retryAfterMs(error) {
+    // axios exposes response headers; for PocketBase, pb.js copies the header onto the error body
+    const header = error.response?.headers?.['retry-after'] ?? error.response?.retryAfter;
+    if (header === undefined || header === null || header === '') return null;
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: random(0, min(max, base * 2^(attempt-1)))
+ */
+function backoffMs(attempt, options) {
+    const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Call `fn`, retrying transient failures with exponential backoff and jitter.
+ * The last error is rethrown once attempts run out or the error is permanent.
+ * @param {() => Promise<*>} fn
+ * @param {Object} [options]
+ * @param {string} [options.label] - Shown in retry log lines
+ * @param {number} [options.attempts] - Total tries (default RETRY_ATTEMPTS)
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {(error) => boolean} [options.retryIf] - Which errors to retry (default isRetryable)
+ * @returns {Promise<*>} Result of `fn`
+ */
+export async function withRetry(fn, options = {}) {
+    options = {
+        attempts: CONFIG.ATTEMPTS,
+        baseDelayMs: CONFIG.BASE_DELAY_MS,
+        maxDelayMs: CONFIG.MAX_DELAY_MS,
+        retryIf: isRetryable,
+        ...options,
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= options.attempts || !options.retryIf(error)) throw error;
+
+            const delay = retryAfterMs(error) ?? backoffMs(attempt, options);
+            console.warn(`   [🔄 RETRY] ${options.label || 'request'} (attempt ${attempt + 1}/${options.attempts} in ${(delay / 1000).toFixed(1)}s): ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
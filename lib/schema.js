@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    // Abort the run before writing when more than this share of items is invalid
+    MAX_INVALID_RATIO: Number(process.env.SCHEMA_MAX_INVALID_RATIO ?? 0.1),
+    QUARANTINE_DIR: path.resolve(__dirname, '..', process.env.SCHEMA_QUARANTINE_DIR || 'quarantine'),
+};
+
+/**
+ * Read a dotted path such as `electionArea.areaNumber`
+ */
+function getPath(item, dotted) {
+    return dotted.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), item);
+}
+
+function typeOf(value) {
+    if (value === null || value === undefined) return 'missing';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+    return typeof value;
+}
+
+/**
+ * Check one item against a schema.
+ *
+ * A schema maps dotted paths to either a type spec or a check function:
+ *   { 'name': 'string', 'electionArea.areaNumber': 'number', 'pmCandidateRank': 'number?',
+ *     'id': 'string|number', 'options': options => options.length > 0 || 'has no options' }
+ * `?` makes a field optional (null/undefined allowed). A check function returns true
+ * when the value is fine, or an error message.
+ *
+ * @param {Object} item - Source item
+ * @param {Object} schema
+ * @returns {string[]} Error messages, empty when the item is valid
+ */
+export function validate(item, schema) {
+    const errors = [];
+
+    for (const [field, spec] of Object.entries(schema)) {
+        const value = getPath(item, field);
+
+        if (typeof spec === 'function') {
+            const result = spec(value, item);
+            if (result !== true) errors.push(`${field}: ${result || 'failed check'}`);
+            continue;
+        }
+
+        const optional = spec.endsWith('?');
+        const types = spec.replace(/\?$/, '').split('|');
+        const actual = typeOf(value);
+
+        if (actual === 'missing') {
+            if (!optional) errors.push(`${field}: missing (expected ${types.join(' or ')})`);
+        } else if (!types.includes(actual)) {
+            errors.push(`${field}: expected ${types.join(' or ')}, got ${actual}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Top-level fields present on an item but not declared in the schema.
+ * When a declared field goes missing, these are the usual suspects for a rename upstream.
+ */
+function undeclaredFields(item, schema) {
+    const declared = new Set(Object.keys(schema).map(field => field.split('.')[0]));
+    return item && typeof item === 'object'
+        ? Object.keys(item).filter(key => !declared.has(key))
+        : [];
+}
+
+/**
+ * Write the invalid items and their errors to a JSON report in the quarantine folder
+ * @returns {string} Path of the report
+ */
+function writeQuarantine(name, invalid, undeclared) {
+    fs.mkdirSync(CONFIG.QUARANTINE_DIR, { recursive: true });
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const file = path.join(CONFIG.QUARANTINE_DIR, `${slug}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+        sync: name,
+        createdAt: new Date().toISOString(),
+        undeclaredFields: undeclared,
+        records: invalid,
+    }, null, 2));
+    return file;
+}
+
+/**
+ * Validate every source item before anything is written.
+ * Invalid items are quarantined to a report and left out of the sync. If the share of
+ * invalid items exceeds SCHEMA_MAX_INVALID_RATIO the whole run is aborted, since that
+ * usually means the upstream schema changed.
+ *
+ * @param {Array} items - Source items
+ * @param {Object} schema - See validate()
+ * @param {Object} options
+ * @param {string} options.name - Sync name, used in logs and the report file name
+ * @param {(item) => string} [options.label] - Name of an item in the report
+ * @returns {{ valid: Array, invalid: Array<{ label: string, errors: string[], item: Object }> }}
+ * @throws {Error} When too many items are invalid
+ */
+export function checkItems(items, schema, { name, label = () => '' }) {
+    const valid = [];
+    const invalid = [];
+    const undeclared = new Set();
+
+    for (const item of items) {
+        const errors = validate(item, schema);
+        if (errors.length === 0) {
+            valid.push(item);
+            continue;
+        }
+        let itemLabel = '';
+        try {
+            itemLabel = label(item) ?? '';
+        } catch {
+            // The label itself may depend on the missing fields
+        }
+        invalid.push({ label: String(itemLabel), errors, item });
+        for (const field of undeclaredFields(item, schema)) undeclared.add(field);
+    }
+
+    if (invalid.length === 0) return { valid, invalid };
+
+    const report = writeQuarantine(name, invalid, [...undeclared]);
+    const ratio = invalid.length / items.length;
+
+    console.warn(`🚧 ${invalid.length}/${items.length} source records failed schema validation and were quarantined: ${report}`);
+    for (const { label: itemLabel, errors } of invalid.slice(0, 5)) {
+        console.warn(`   [🚧 INVALID] ${itemLabel}: ${errors.join('; ')}`);
+    }
+    if (invalid.length > 5) console.warn(`   ...and ${invalid.length - 5} more`);
+    if (undeclared.size > 0) {
+        console.warn(`   Undeclared fields on invalid records (possible renames upstream): ${[...undeclared].join(', ')}`);
+    }
+
+    if (ratio > CONFIG.MAX_INVALID_RATIO) {
+        throw new Error(`Schema validation failed for ${(ratio * 100).toFixed(1)}% of ${name} records (limit ${(CONFIG.MAX_INVALID_RATIO * 100).toFixed(1)}%). Nothing was written; see ${report}`);
+    }
+
+    return { valid, invalid };
+}
@@ -0,0 +1,125 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    // 'live' (default), 'record' (live + save every response) or 'replay' (serve saved responses, no network)
+    MODE: process.env.SOURCE_MODE || 'live',
+    ARCHIVE_DIR: path.resolve(__dirname, '..', process.env.SOURCE_ARCHIVE_DIR || 'archive'),
+    // Session folder to record into. Processes given the same name (e.g. the masterdata and
+    // realtime scripts of one night) share it; by default every process gets a timestamped folder
+    RECORD_SESSION: process.env.SOURCE_RECORD_SESSION,
+    // Session folder to replay; defaults to RECORD_SESSION, then to the latest one in ARCHIVE_DIR
+    REPLAY_SESSION: process.env.SOURCE_REPLAY_SESSION || process.env.SOURCE_RECORD_SESSION,
+};
+
+/**
+ * Identify a request by URL and query params (param order does not matter)
+ */
+function requestKey(url, params = {}) {
+    const sorted = Object.keys(params)
+        .filter(name => params[name] !== undefined)
+        .sort()
+        .map(name => [name, params[name]]);
+    return `${url} ${JSON.stringify(sorted)}`;
+}
+
+// --- RECORDING ---
+let sessionDir = null;
+let sequence = 0;
+
+function recordResponse(url, params, response) {
+    if (!sessionDir) {
+        sessionDir = path.join(CONFIG.ARCHIVE_DIR, CONFIG.RECORD_SESSION || new Date().toISOString().replace(/[:.]/g, '-'));
+        fs.mkdirSync(sessionDir, { recursive: true });
+        console.log(`📼 Recording source responses to ${sessionDir}`);
+    }
+
+    sequence++;
+    const slug = new URL(url).pathname.split('/').filter(Boolean).pop() || 'root';
+    const page = params?.page ? `-p${params.page}` : '';
+    // Time first, so a session shared by several processes still sorts in recording order;
+    // the process id keeps their files apart
+    const name = `${Date.now()}-${process.pid}-${String(sequence).padStart(6, '0')}-${slug}${page}.json`;
+    const file = path.join(sessionDir, name);
+
+    fs.writeFileSync(file, JSON.stringify({
+        url,
+        params: params || {},
+        fetchedAt: new Date().toISOString(),
+        status: response.status,
+        data: response.data,
+    }, null, 2));
+}
+
+// --- REPLAY ---
+let replay = null; // request key -> { responses: [], next: 0 }
+
+function loadReplay() {
+    const session = CONFIG.REPLAY_SESSION
+        ? path.resolve(CONFIG.ARCHIVE_DIR, CONFIG.REPLAY_SESSION)
+        : latestSession();
+
+    console.log(`📼 Replaying source responses from ${session}`);
+    replay = new Map();
+
+    // File names start with the time they were recorded, so sorting keeps the recording order
+    for (const file of fs.readdirSync(session).filter(name => name.endsWith('.json')).sort()) {
+        const entry = JSON.parse(fs.readFileSync(path.join(session, file), 'utf8'));
+        const key = requestKey(entry.url, entry.params);
+        if (!replay.has(key)) replay.set(key, { responses: [], next: 0 });
+        replay.get(key).responses.push(entry);
+    }
+}
+
+function latestSession() {
+    const sessions = fs.existsSync(CONFIG.ARCHIVE_DIR)
+        ? fs.readdirSync(CONFIG.ARCHIVE_DIR).filter(name => fs.statSync(path.join(CONFIG.ARCHIVE_DIR, name)).isDirectory()).sort()
+        : [];
+    if (sessions.length === 0) {
+        throw new Error(`No recorded sessions found in ${CONFIG.ARCHIVE_DIR}`);
+    }
+    return path.join(CONFIG.ARCHIVE_DIR, sessions[sessions.length - 1]);
+}
+
+/**
+ * Serve the next recorded response for a request. Repeated requests (e.g. every
+ * scheduler tick) walk through the recordings in order and then stay on the last one,
+ * so a recorded election night plays back as it happened.
+ */
+function replayResponse(url, params) {
+    if (!replay) loadReplay();
+
+    const recorded = replay.get(requestKey(url, params));
+    if (!recorded) {
+        const error = new Error(`No recorded response for GET ${url} ${JSON.stringify(params || {})}`);
+        error.response = { status: 404 }; // permanent, so it is not retried
+        throw error;
+    }
+
+    const entry = recorded.responses[Math.min(recorded.next, recorded.responses.length - 1)];
+    recorded.next++;
+    return { status: entry.status, data: entry.data };
+}
+
+/**
+ * GET a source API endpoint, honouring SOURCE_MODE (live / record / replay)
+ * @param {string} url
+ * @param {Object} options - { headers, params }
+ * @returns {Promise<{ status: number, data: Object }>} axios-like response
+ */
+export async function getSource(url, options = {}) {
+    if (CONFIG.MODE === 'replay') {
+        return replayResponse(url, options.params);
+    }
+
+    const response = await axios.get(url, options);
+    if (CONFIG.MODE === 'record') {
+        recordResponse(url, options.params, response);
+    }
+    return response;
+}
@@ -0,0 +1,523 @@
+import { authenticate } from '../pb.js';
+import { mapConcurrent } from './concurrency.js';
+import { withRetry } from './retry.js';
+import { isDryRun } from './cli.js';
+import { recordSnapshot } from './history.js';
+import { getSource } from './source.js';
+import { checkItems } from './schema.js';
+import { verifyItems, checkNotDecreased, isBlocking } from './integrity.js';
+import { recordEvents } from './events.js';
+import { notifyWebhooks } from './webhooks.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    // Parallel PocketBase writes per sync (1 = one record at a time)
+    CONCURRENCY: Number(process.env.SYNC_CONCURRENCY || 1),
+    // Parallel source page fetches once the total page count is known
+    FETCH_CONCURRENCY: Number(process.env.SYNC_FETCH_CONCURRENCY || 1),
+};
+
+/**
+ * Fetch a single (non-paginated) response from the source API
+ * @param {Object} source - { URL, TOKEN, KEY?, PARAMS? }
+ * @returns {Promise<Array|Object>} `data[KEY]` when KEY is set, otherwise `data` itself
+ */
+export async function fetchData(source) {
+    console.log(`🌐 Fetching data from: ${source.URL}`);
+    try {
+        const response = await withRetry(() => getSource(source.URL, {
+            headers: { Authorization: `Bearer ${source.TOKEN}` },
+            params: source.PARAMS,
+        }), { label: `GET ${source.URL}` });
+
+        const data = response.data.data;
+        return source.KEY ? data[source.KEY] || [] : data;
+    } catch (error) {
+        throw new Error(`Fetch Failed: ${error.message}`);
+    }
+}
+
+/**
+ * Fetch a page of data from the source API
+ * @param {Object} source - { URL, TOKEN, KEY, PER_PAGE }
+ * @param {number} page - 1-based page number
+ */
+export async function fetchPage(source, page) {
+    console.log(`🌐 Fetching page ${page} from: ${source.URL}`);
+    try {
+        const response = await withRetry(() => getSource(source.URL, {
+            headers: { Authorization: `Bearer ${source.TOKEN}` },
+            params: {
+                ...source.PARAMS,
+                page: page,
+                per_page: source.PER_PAGE
+            }
+        }), { label: `GET ${source.URL} page ${page}` });
+
+        const data = response.data.data;
+        const items = data[source.KEY] || [];
+        const pagination = data.pagination || {};
+
+        return { items, pagination };
+    } catch (error) {
+        throw new Error(`Fetch Page ${page} Failed: ${error.message}`);
+    }
+}
+
+/**
+ * Fetch every page of a paginated source endpoint.
+ * Page 1 is fetched first; when it reports `pagination.totalPages` the remaining pages are
+ * fetched FETCH_CONCURRENCY at a time. Otherwise pages are walked one by one until an empty page.
+ * @param {Object} source - { URL, TOKEN, KEY, PER_PAGE }
+ * @returns {Promise<Array>} All items across pages, in page order
+ */
+export async function fetchAllPages(source) {
+    const first = await fetchPage(source, 1);
+    if (first.items.length === 0) return [];
+
+    const totalPages = first.pagination.totalPages;
+    console.log(`📦 Received ${first.items.length} items from page 1/${totalPages || '?'}...`);
+
+    if (totalPages) {
+        const rest = Array.from({ length: Math.max(0, totalPages - 1) }, (_, i) => i + 2);
+        const pages = await mapConcurrent(rest, CONFIG.FETCH_CONCURRENCY, async (page) => {
+            const { items } = await fetchPage(source, page);
+            console.log(`📦 Received ${items.length} items from page ${page}/${totalPages}...`);
+            return items;
+        });
+        return first.items.concat(...pages);
+    }
+
+    const all = [...first.items];
+    let page = 2;
+
+    while (true) {
+        const { items, pagination } = await fetchPage(source, page);
+        if (items.length === 0) break;
+
+        console.log(`📦 Received ${items.length} items from page ${page}/${pagination.totalPages || '?'}...`);
+        all.push(...items);
+
+        if (pagination.totalPages && page >= pagination.totalPages) break;
+        page++;
+    }
+
+    return all;
+}
+
+/**
+ * Build a cached lookup of `key -> record id` for a relation collection.
+ * The collection is loaded with getFullList on first use, once per sync run: list the
+ * lookup in the sync's `def.lookups` so each run of that sync (and only that sync) reloads it.
+ * @param {string} collection - PocketBase collection name
+ * @param {(record: Object) => string} keyOf - Cache key of a record
+ * @returns {((pb: PocketBase, key: string) => Promise<string|undefined>) & { reset: () => void }}
+ */
+export function createLookup(collection, keyOf) {
+    // Keep the loading promise so concurrent callers share one getFullList
+    let loading = null;
+
+    async function load(pb) {
+        console.log(`🔄 Loading ${collection} to cache...`);
+        const cache = new Map();
+        try {
+            const records = await pb.collection(collection).getFullList();
+            for (const record of records) {
+                cache.set(keyOf(record), record.id);
+            }
+            console.log(`✅ Cached ${cache.size} ${collection}.`);
+        } catch (e) {
+            // An empty cache would make every relation look missing, so the items using it fail instead
+            console.error(`❌ Failed to cache ${collection}:`, e.message);
+            throw e;
+        }
+        return cache;
+    }
+
+    async function lookup(pb, key) {
+        if (!loading) loading = load(pb);
+        const cache = await loading;
+        return cache.get(key);
+    }
+
+    // Drop the cache so the next lookup reloads it
+    lookup.reset = () => {
+        loading = null;
+    };
+    return lookup;
+}
+
+/**
+ * Reset the relation caches a sync uses, leaving those of other (possibly running) syncs alone
+ */
+function resetLookups(def) {
+    for (const lookup of def.lookups || []) lookup.reset();
+}
+
+/**
+ * Normalise a match key: blank values (null, undefined, '') become null, everything else a string
+ */
+function normaliseKey(value) {
+    return value === null || value === undefined || value === '' ? null : String(value);
+}
+
+/**
+ * Build a composite match key such as `${provinceId}_${areaNumber}`
+ * @returns {string|null} null when any part is blank, so partial keys never match
+ */
+export function joinKey(...parts) {
+    return parts.some(part => normaliseKey(part) === null) ? null : parts.join('_');
+}
+
+function recordKey(def, record) {
+    return normaliseKey(def.matchKey ? def.matchKey(record) : record[def.matchField]);
+}
+
+function recordLegacyKey(def, record) {
+    if (def.legacyMatchKey) return normaliseKey(def.legacyMatchKey(record));
+    return def.legacyField ? normaliseKey(record[def.legacyField]) : null;
+}
+
+/**
+ * Load the whole target collection once and index it by its match key.
+ * Records that have no match key yet are indexed by their legacy key instead, so an
+ * older record matched by name gets its stable key backfilled on the next update.
+ * A legacy key shared by several records is ambiguous and never adopted.
+ * @returns {Promise<{ byKey: Map<string, Object>, byLegacy: Map<string, Object>, ambiguous: Set<string> }>}
+ */
+async function loadIndex(pb, def) {
+    console.log(`🔄 Loading existing ${def.collection}...`);
+    const records = await pb.collection(def.collection).getFullList();
+    const index = { byKey: new Map(), byLegacy: new Map(), ambiguous: new Set() };
+
+    for (const record of records) {
+        const key = recordKey(def, record);
+        const legacyKey = key === null ? recordLegacyKey(def, record) : null;
+        if (key !== null) {
+            index.byKey.set(key, record);
+        } else if (legacyKey !== null && (index.byLegacy.has(legacyKey) || index.ambiguous.has(legacyKey))) {
+            index.byLegacy.delete(legacyKey);
+            index.ambiguous.add(legacyKey);
+        } else if (legacyKey !== null) {
+            index.byLegacy.set(legacyKey, record);
+        }
+    }
+
+    console.log(`✅ Loaded ${records.length} ${def.collection}.`);
+    if (index.byLegacy.size > 0) {
+        console.log(`ℹ️  ${index.byLegacy.size} ${def.collection} have no match key yet and will be matched by ${def.legacyField || 'legacy key'}.`);
+    }
+    return index;
+}
+
+/**
+ * Mark legacy keys that more than one source item maps to as ambiguous:
+ * adopting the old record for either item could give it the wrong key
+ */
+function markAmbiguousItems(index, items, def) {
+    if (!def.legacyKey || index.byLegacy.size === 0) return;
+
+    const counts = new Map();
+    for (const item of items) {
+        const legacyKey = normaliseKey(def.legacyKey(item));
+        if (legacyKey !== null) counts.set(legacyKey, (counts.get(legacyKey) || 0) + 1);
+    }
+    for (const [legacyKey, count] of counts) {
+        if (count > 1 && index.byLegacy.has(legacyKey)) {
+            index.byLegacy.delete(legacyKey);
+            index.ambiguous.add(legacyKey);
+        }
+    }
+}
+
+/**
+ * Find the existing record for an item: by stable key first, then by the legacy field
+ */
+function findInIndex(index, key, legacyKey) {
+    if (key !== null && index.byKey.has(key)) return index.byKey.get(key);
+    if (legacyKey !== null && index.byLegacy.has(legacyKey)) {
+        const record = index.byLegacy.get(legacyKey);
+        // Each legacy record can only be adopted once
+        index.byLegacy.delete(legacyKey);
+        return record;
+    }
+    return null;
+}
+
+function remember(index, key, record) {
+    if (index && key !== null) index.byKey.set(key, record);
+}
+
+/**
+ * Compare two field values; JSON fields (objects, arrays) are compared by content
+ */
+function isSameValue(a, b) {
+    if (a === b) return true;
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return false;
+}
+
+/**
+ * Print `field: old → new` for every field that differs
+ * @param {Object} existing - Current record ({} for a record that would be created)
+ * @param {Object} payload - New values
+ * @param {string[]} fields - Fields to show
+ */
+export function printDiff(existing, payload, fields) {
+    for (const field of fields) {
+        if (isSameValue(existing[field], payload[field])) continue;
+        console.log(`      ${field}: ${JSON.stringify(existing[field])} → ${JSON.stringify(payload[field])}`);
+    }
+}
+
+/**
+ * Sync a single item to PocketBase with Smart Update
+ * @param {PocketBase} pb - Authenticated PocketBase instance
+ * @param {Object} item - Source item
+ * @param {Object} def - Sync definition (see createSync)
+ * @param {Object|null} index - Existing records (see loadIndex), null when `def.find` is used
+ * @param {Array} changes - Created/updated records are appended as { id, previous?, values }
+ * @returns {Promise<'created'|'updated'|'skipped'|'failed'|'blocked'>}
+ */
+async function syncItem(pb, item, def, index, changes) {
+    const label = def.label(item);
+
+    try {
+        const payload = await def.payload(item, pb);
+        const key = def.find ? null : normaliseKey(def.key(item, payload));
+        const legacyKey = def.legacyKey ? normaliseKey(def.legacyKey(item)) : null;
+
+        // A blank key means a relation did not resolve: the legacy key could match (or create)
+        // a record that has lost that relation, so the item is not written at all
+        if (!def.find && key === null) {
+            console.error(`   [❌ UNRESOLVED] ${label}: no match key, a relation was not found`);
+            return 'failed';
+        }
+
+        const existing = def.find
+            ? await def.find(pb, item, payload)
+            : findInIndex(index, key, legacyKey);
+
+        if (!existing && legacyKey !== null && index?.ambiguous.has(legacyKey)) {
+            console.warn(`   [⚠️ AMBIGUOUS] ${label}: several records or items share "${legacyKey}", set the match key by hand`);
+            return 'failed';
+        }
+
+        if (!existing) {
+            if (!def.create) {
+                console.log(`   [⚠️ SKIPPED - NOT FOUND] ${label}`);
+                return 'skipped';
+            }
+            if (isDryRun()) {
+                console.log(`   [✅ WOULD CREATE] ${label}`);
+                printDiff({}, payload, Object.keys(payload));
+                remember(index, key, payload);
+                changes.push({ id: key ?? label, values: payload });
+                return 'created';
+            }
+            const record = await pb.collection(def.collection).create(payload);
+            remember(index, key, record);
+            changes.push({ id: record.id, values: payload });
+            console.log(`   [✅ CREATED] ${label}`);
+            if (def.afterItem) await def.afterItem(pb, record, payload, item);
+            return 'created';
+        }
+
+        const compare = def.compare || Object.keys(payload);
+        const isChanged = compare.some(field => !isSameValue(existing[field], payload[field]));
+
+        const decreased = isChanged && def.integrity?.notDecreasing
+            ? checkNotDecreased(existing, payload, def.integrity.notDecreasing)
+            : [];
+        if (decreased.length > 0) {
+            console.warn(`   [🛑 INTEGRITY] ${label}: ${decreased.join('; ')}`);
+            if (isBlocking()) {
+                console.warn(`   [🛑 BLOCKED] ${label}`);
+                return 'blocked';
+            }
+        }
+
+        // Only once the item passed the integrity check, so a blocked item changes nothing
+        if (def.afterItem) await def.afterItem(pb, existing, payload, item);
+
+        if (isChanged && def.delta) {
+            Object.assign(payload, def.delta(existing, payload));
+        }
+
+        if (isChanged && isDryRun()) {
+            console.log(`   [🔁 WOULD UPDATE] ${label}`);
+            printDiff(existing, payload, compare);
+            changes.push({ id: existing.id, previous: existing, values: payload });
+            return 'updated';
+        } else if (isChanged) {
+            const record = await pb.collection(def.collection).update(existing.id, payload);
+            remember(index, key, record);
+            changes.push({ id: existing.id, previous: existing, values: payload });
+            const detail = def.describe ? ` (${def.describe(existing, payload)})` : '';
+            console.log(`   [🔁 UPDATED] ${label}${detail}`);
+            return 'updated';
+        } else {
+            console.log(`   [⏭️ NO CHANGE] ${label}`);
+            return 'skipped';
+        }
+    } catch (error) {
+        console.error(`   [❌ FAIL] ${label}: ${error.message}`);
+        return 'failed';
+    }
+}
+
+/**
+ * Sync a list of source items into a collection
+ * @param {PocketBase} pb - Authenticated PocketBase instance
+ * @param {Array} items - Source items
+ * @param {Object} def - Sync definition (see createSync)
+ * @returns {Promise<{ stats: Object, changes: Array }>} Stats ({ created, updated, skipped, failed, blocked? })
+ *   and the created/updated records as { id, previous?, values }
+ */
+export async function syncItems(pb, items, def) {
+    const stats = { created: 0, updated: 0, skipped: 0, failed: 0 };
+    const changes = [];
+
+    // Prefetch existing records once so each item is diffed in memory
+    const index = def.find ? null : await loadIndex(pb, def);
+    if (index) markAmbiguousItems(index, items, def);
+    if (def.prepare) await def.prepare(pb);
+
+    await mapConcurrent(items, CONFIG.CONCURRENCY, async (item) => {
+        const result = await syncItem(pb, item, def, index, changes);
+        stats[result] = (stats[result] || 0) + 1;
+    });
+
+    return { stats, changes };
+}
+
+/**
+ * Print the end-of-run summary
+ */
+export function printStats(stats) {
+    console.log('-----------------------------------');
+    console.log(isDryRun() ? `🧪 Dry Run Complete. Nothing was written.` : `🏁 Sync Complete.`);
+    console.log(`✅ Created: ${stats.created}`);
+    console.log(`🔁 Updated: ${stats.updated}`);
+    console.log(`⏭️ No Change: ${stats.skipped}`);
+    console.log(`❌ Failed:  ${stats.failed}`);
+    if (stats.quarantined) console.log(`🚧 Quarantined: ${stats.quarantined}`);
+    if (stats.blocked) console.log(`🛑 Blocked: ${stats.blocked}`);
+    if (stats.events) console.log(`📣 Events: ${stats.events}`);
+}
+
+/**
+ * Declare a fetch/compare/upsert sync and get back its `run()` function.
+ *
+ * @param {Object} def
+ * @param {string} def.title - Shown when the run starts
+ * @param {Object} def.source - { URL, TOKEN, KEY, PER_PAGE?, PARAMS? }; PER_PAGE enables pagination
+ * @param {string} def.collection - Target PocketBase collection
+ * @param {string} [def.matchField] - Field the existing records are indexed by
+ * @param {(record) => *} [def.matchKey] - Match key of an existing record, instead of matchField (e.g. composite keys)
+ * @param {(item, payload) => *} [def.key] - Match key of a source item
+ * @param {string} [def.legacyField] - Fallback field (usually `name`) for records that have no match key yet
+ * @param {(record) => *} [def.legacyMatchKey] - Legacy key of an existing record, instead of legacyField
+ * @param {(item) => *} [def.legacyKey] - Legacy key of a source item; a legacy key shared by several
+ *   records or items is ambiguous and its records are not adopted
+ * @param {(pb, item, payload) => Promise<Object|null>} [def.find] - Custom lookup instead of the prefetched matchField index
+ * @param {Array<Function>} [def.lookups] - Lookups (see createLookup) used by `payload`, reloaded every run
+ * @param {(pb) => Promise} [def.prepare] - Called once per run before any item is synced
+ * @param {(item, pb) => Object|Promise<Object>} def.payload - Maps a source item to the record payload
+ * @param {string[]} [def.compare] - Fields that trigger an update (default: every payload field)
+ * @param {(existing, payload) => Object} [def.delta] - Extra fields for an update, computed from the
+ *   stored record (e.g. votes gained since the last change); not part of the comparison
+ * @param {boolean} [def.create=true] - Create records that do not exist yet
+ * @param {(item) => string} def.label - Name of an item in log lines
+ * @param {(existing, payload) => string} [def.describe] - Extra detail for UPDATED log lines
+ * @param {(pb, record, payload, item) => Promise} [def.afterItem] - Called with the matched/created record;
+ *   must check isDryRun() before writing
+ * @param {(data) => Array} [def.items] - Turns a non-paginated response into the list of items
+ * @param {Object} [def.schema] - Expected shape of a source item (see lib/schema.js); items that do not
+ *   match are quarantined, and the run aborts before writing when too many fail
+ * @param {Object} [def.integrity] - Vote total checks (see lib/integrity.js):
+ *   { item?: (item) => string[], items?: (items) => Array<{ label, message }>, notDecreasing?: string[] }.
+ *   Violations are logged; with INTEGRITY_MODE=block source violations abort the run and
+ *   records whose `notDecreasing` fields went down are not updated
+ * @param {Object} [def.history] - { scope, fields }: append a snapshot of changed records to the history collection
+ * @param {(updates) => Array} [def.events] - Detects notable changes in the updated records
+ *   ({ id, previous, values }) and returns events (see lib/events.js) for the events collection
+ * @returns {() => Promise<Object>} run function resolving to the stats
+ */
+export function createSync(def) {
+    def = { create: true, ...def };
+
+    return async function run() {
+        const pb = await authenticate();
+        resetLookups(def);
+
+        console.log(`🚀 Starting ${def.title}${isDryRun() ? ' (dry run)' : ''}...`);
+
+        let items;
+        if (def.source.PER_PAGE) {
+            items = await fetchAllPages(def.source);
+        } else {
+            const data = await fetchData(def.source);
+            items = def.items ? def.items(data) : data;
+            console.log(`📦 Found ${items.length} items to sync.`);
+        }
+
+        let quarantined = 0;
+        if (def.schema) {
+            const { valid, invalid } = checkItems(items, def.schema, { name: def.title, label: def.label });
+            items = valid;
+            quarantined = invalid.length;
+        }
+
+        if (def.integrity) {
+            verifyItems(items, def.integrity, { name: def.title, label: def.label });
+        }
+
+        return writeItems(pb, items, def, quarantined);
+    };
+}
+
+/**
+ * Sync items, record the history snapshot and events, print the summary and notify webhooks
+ * @param {number} [quarantined=0] - Items left out by schema validation, for the summary
+ */
+async function writeItems(pb, items, def, quarantined = 0) {
+    const { stats, changes } = await syncItems(pb, items, def);
+    if (quarantined) stats.quarantined = quarantined;
+    if (def.history) {
+        await recordSnapshot(pb, def.history.scope, def.history.fields, changes);
+    }
+    const events = def.events ? def.events(changes.filter(change => change.previous)) : [];
+    if (events.length > 0) {
+        stats.events = events.length;
+        await recordEvents(pb, events);
+    }
+    printStats(stats);
+    notifyWebhooks({ sync: def.title, stats, changed: changes.map(change => change.id), events });
+    return stats;
+}
+
+/**
+ * Declare a step that derives records from data already in PocketBase (instead of
+ * the source API) and writes them with the same compare/upsert rules as createSync.
+ *
+ * @param {Object} def - Same options as createSync, except `source`, `schema` and `integrity`
+ * @param {(pb) => Promise<Array>} def.items - Builds the derived items from PocketBase
+ * @returns {() => Promise<Object>} run function resolving to the stats
+ */
+export function createDerive(def) {
+    def = { create: true, ...def };
+
+    return async function run() {
+        const pb = await authenticate();
+        resetLookups(def);
+
+        console.log(`🚀 Starting ${def.title}${isDryRun() ? ' (dry run)' : ''}...`);
+        const items = await def.items(pb);
+        console.log(`📦 Derived ${items.length} items to sync.`);
+
+        return writeItems(pb, items, def);
+    };
+}
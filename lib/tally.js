@@ -0,0 +1,39 @@
+/**
+ * Arithmetic shared by the derive steps (and the mock source), so every rollup rounds and
+ * counts the same way
+ */
+
+export function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * `part` as a share of `whole` in %, rounded to 2 decimals; 0 when there is no whole yet
+ */
+export function percentage(part, whole) {
+    return whole > 0 ? round2((part / whole) * 100) : 0;
+}
+
+/**
+ * Whether an area (see derive-area-results.js) counts as led by its leaderParty
+ */
+export function isLed(area) {
+    return Boolean(area.leaderParty) && (area.status === 'leading' || area.status === 'won');
+}
+
+/**
+ * Count areas led (leading or won) and won per party
+ * @returns {{ seatsLed: Object<string, number>, seatsWon: Object<string, number> }} Keyed by party id
+ */
+export function countSeats(areas) {
+    const seatsLed = {};
+    const seatsWon = {};
+    for (const area of areas) {
+        if (!isLed(area)) continue;
+        seatsLed[area.leaderParty] = (seatsLed[area.leaderParty] || 0) + 1;
+        if (area.status === 'won') {
+            seatsWon[area.leaderParty] = (seatsWon[area.leaderParty] || 0) + 1;
+        }
+    }
+    return { seatsLed, seatsWon };
+}
@@ -0,0 +1,190 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { withRetry, isRetryable } from './retry.js';
+import { isDryRun } from './cli.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    // Comma-separated target URLs; no webhooks are sent when empty
+    URLS: (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    // Shared secret for the X-Webhook-Signature header
+    SECRET: process.env.WEBHOOK_SECRET || '',
+    TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+    // Limits of one pass over the queue; what is left waits for the next notification
+    FLUSH_MAX_ENTRIES: Number(process.env.WEBHOOK_FLUSH_MAX_ENTRIES || 50),
+    FLUSH_BUDGET_MS: Number(process.env.WEBHOOK_FLUSH_BUDGET_MS || 60000),
+    // Every delivery is written here first and removed once the target accepted it
+    QUEUE_DIR: path.resolve(__dirname, '..', process.env.WEBHOOK_QUEUE_DIR || 'webhook-queue'),
+};
+// Unreadable entries and permanently rejected deliveries are parked here for inspection
+const DEAD_DIR = path.join(CONFIG.QUEUE_DIR, 'dead');
+
+/**
+ * Signature of a delivery: HMAC-SHA256 over `${timestamp}.${body}` with WEBHOOK_SECRET.
+ * Receivers recompute it from the X-Webhook-Timestamp header and the raw body.
+ * @returns {string} `sha256=<hex>`
+ */
+export function sign(timestamp, body, secret = CONFIG.SECRET) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POST one body to one target, retrying transient failures
+ */
+async function deliver(url, body) {
+    await withRetry(() => {
+        // Signed per attempt so the timestamp is fresh
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        return axios.post(url, body, {
+            timeout: CONFIG.TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': sign(timestamp, body),
+            },
+        });
+    }, { label: `POST ${url}` });
+}
+
+/**
+ * Write a file in one step (temp file + rename), so a crash never leaves half an entry behind
+ */
+function writeAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, data);
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+function entryName() {
+    return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+}
+
+function enqueue(url, body) {
+    const file = path.join(CONFIG.QUEUE_DIR, entryName());
+    writeAtomic(file, JSON.stringify({ url, body }));
+    return file;
+}
+
+function moveToDead(file) {
+    fs.mkdirSync(DEAD_DIR, { recursive: true });
+    fs.renameSync(file, path.join(DEAD_DIR, path.basename(file)));
+}
+
+/**
+ * Send the queued deliveries, oldest first. Delivered entries are removed, entries for
+ * targets no longer in WEBHOOK_URLS are dropped, and unreadable or permanently rejected
+ * entries are moved to the dead-letter folder. A target that fails is skipped for the rest
+ * of the pass, so its entries stay in order and a dead target costs one timeout per pass.
+ */
+async function flushQueue() {
+    if (!fs.existsSync(CONFIG.QUEUE_DIR)) return;
+    const files = fs.readdirSync(CONFIG.QUEUE_DIR).filter(name => name.endsWith('.json')).sort();
+    const deadline = Date.now() + CONFIG.FLUSH_BUDGET_MS;
+    const failing = new Set();
+    let attempted = 0;
+
+    for (const name of files) {
+        if (attempted >= CONFIG.FLUSH_MAX_ENTRIES || Date.now() >= deadline) {
+            console.warn(`   [🪝 DEFERRED] webhook queue flush limit reached, the rest goes out with the next notification`);
+            return;
+        }
+
+        const file = path.join(CONFIG.QUEUE_DIR, name);
+        let entry;
+        try {
+            entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            moveToDead(file);
+            console.error(`   [🪝 DEAD LETTER] unreadable queue entry ${name}: ${error.message}`);
+            continue;
+        }
+
+        const { url, body } = entry;
+        if (!CONFIG.URLS.includes(url)) {
+            fs.unlinkSync(file);
+            console.warn(`   [🪝 DROPPED] queued webhook to ${url}: no longer in WEBHOOK_URLS`);
+            continue;
+        }
+        if (failing.has(url)) continue;
+
+        attempted++;
+        try {
+            await deliver(url, body);
+            fs.unlinkSync(file);
+            console.log(`   [🪝 DELIVERED] ${url}`);
+        } catch (error) {
+            if (isRetryable(error)) {
+                failing.add(url);
+                console.warn(`   [🪝 STILL QUEUED] ${url}: ${error.message}`);
+            } else {
+                moveToDead(file);
+                console.error(`   [🪝 DEAD LETTER] ${url}: ${error.message}`);
+            }
+        }
+    }
+}
+
+// The background worker: one pass over the queue at a time, never awaited by a sync
+let worker = null;
+let pending = false;
+
+async function drain() {
+    while (pending) {
+        pending = false;
+        try {
+            await flushQueue();
+        } catch (error) {
+            console.error(`❌ Webhook delivery failed: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Send the result of a sync run to every WEBHOOK_URLS target as a signed JSON POST.
+ * The deliveries are queued on disk and sent by a background worker, so a slow or
+ * unreachable target never holds up the sync. Failed deliveries stay queued and are
+ * sent again with the next notification; permanent failures (4xx) go to the
+ * dead-letter folder. Never throws: webhooks must not fail the sync.
+ *
+ * @param {Object} payload
+ * @param {string} payload.sync - Sync title
+ * @param {Object} payload.stats - Run stats (created, updated, skipped, failed...)
+ * @param {string[]} payload.changed - Ids of created/updated records
+ * @param {Array} payload.events - Events detected in the run (see lib/events.js)
+ */
+export function notifyWebhooks(payload) {
+    if (CONFIG.URLS.length === 0) return;
+
+    if (isDryRun()) {
+        console.log(`🪝 Would notify ${CONFIG.URLS.length} webhook targets.`);
+        return;
+    }
+
+    const body = JSON.stringify({ ...payload, finishedAt: new Date().toISOString() });
+    try {
+        for (const url of CONFIG.URLS) enqueue(url, body);
+    } catch (error) {
+        console.error(`❌ Failed to queue webhook: ${error.message}`);
+        return;
+    }
+
+    pending = true;
+    if (!worker) {
+        worker = drain().finally(() => {
+            worker = null;
+        });
+    }
+}
+
+/**
+ * Resolves once the background worker has nothing left to send (or gave up for now)
+ * @returns {Promise<void>}
+ */
+export function whenWebhooksIdle() {
+    return worker || Promise.resolve();
+}
@@ -0,0 +1,34 @@
+import 'dotenv/config';
+import { run as syncProvinces } from './sync-provinces.js';
+import { run as syncParties } from './sync-parties.js';
+import { run as syncAreas } from './sync-areas.js';
+import { run as syncCandidates } from './sync-candidates.js';
+import { run as syncPartylist } from './sync-partylist.js';
+import { isMainModule, runMain } from '../lib/cli.js';
+
+// Order matters: areas, candidates and party lists resolve their relations by
+// province/party code, so those codes have to be backfilled first.
+const STEPS = [
+    ['provinces', syncProvinces],
+    ['parties', syncParties],
+    ['areas', syncAreas],
+    ['candidates', syncCandidates],
+    ['partylist', syncPartylist],
+];
+
+/**
+ * Backfill stable match keys (codes, source IDs) onto records created when
+ * everything was matched by name. Each masterdata sync falls back to matching
+ * records that have no key yet by name and writes the key on update.
+ * Use --dry-run to preview the changes.
+ */
+export async function run() {
+    const results = {};
+    for (const [name, step] of STEPS) {
+        console.log(`\n===== ${name} =====`);
+        results[name] = await step();
+    }
+    return results;
+}
+
+if (isMainModule(import.meta.url)) runMain(run);
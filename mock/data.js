@@ -0,0 +1,297 @@
+/**
+ * Synthetic but internally consistent election data for the mock source API.
+ *
+ * The "final" result of every area is generated once from a seed. The count then
+ * progresses over time: each area starts reporting at its own moment and reaches
+ * 100% of its stations after a while, so votes only ever go up and every total
+ * (area, province, party, national) is the sum of the level below it.
+ */
+
+import { allocateSeats } from '../lib/partylist-allocation.js';
+import { percentage } from '../lib/tally.js';
+
+const REGIONS = ['North', 'Northeast', 'Central', 'East', 'West', 'South', 'Bangkok'];
+
+const PARTY_COLORS = [
+    '#F47933', '#E3001B', '#1F3A93', '#00A651', '#6B2C91', '#FFD200',
+    '#00AEEF', '#8B4513', '#EC008C', '#2E8B57', '#708090', '#000000',
+];
+
+const FIRST_NAMES = ['Somchai', 'Somsak', 'Suda', 'Malee', 'Anan', 'Kanya', 'Prasert', 'Wichai', 'Nok', 'Pim'];
+const LAST_NAMES = ['Srisuk', 'Chaiyo', 'Thongdee', 'Rattana', 'Boonmee', 'Saetang', 'Kaewmanee', 'Phrom'];
+
+/**
+ * Small deterministic PRNG (mulberry32) so the same seed always builds the same election
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pad(number, width = 2) {
+    return String(number).padStart(width, '0');
+}
+
+/**
+ * Build the static side of the election (provinces, areas, parties, candidates, party lists)
+ * and the final per-area results the count converges to.
+ * @param {Object} [options]
+ * @param {number} [options.seed=69]
+ * @param {number} [options.provinces=77]
+ * @param {number} [options.areas=400]
+ * @param {number} [options.parties=12]
+ * @param {number} [options.partyListSize=50]
+ * @param {number} [options.questions=2] - Referendum questions
+ */
+export function createElection(options = {}) {
+    const {
+        seed = 69,
+        provinces: provinceCount = 77,
+        areas: areaCount = 400,
+        parties: partyCount = 12,
+        partyListSize = 50,
+        questions: questionCount = 2,
+    } = options;
+    const random = createRandom(seed);
+
+    const provinces = Array.from({ length: provinceCount }, (_, i) => ({
+        code: `P${pad(i + 1)}`,
+        name: `Province ${pad(i + 1)}`,
+        region: i === 0 ? 'Bangkok' : REGIONS[i % (REGIONS.length - 1)],
+    }));
+
+    const parties = Array.from({ length: partyCount }, (_, i) => ({
+        code: `PTY${pad(i + 1)}`,
+        name: `Party ${pad(i + 1)}`,
+        abbreviation: `P${i + 1}`,
+        color: PARTY_COLORS[i % PARTY_COLORS.length],
+        logoUrl: `https://example.invalid/parties/PTY${pad(i + 1)}.png`,
+        // Popularity drives both constituency and party-list results
+        strength: 0.2 + random() * (i < 4 ? 1.5 : 0.6),
+    }));
+
+    // Spread areas over provinces: every province gets at least one
+    const areas = [];
+    const perProvince = provinces.map(() => 1);
+    for (let i = provinceCount; i < areaCount; i++) {
+        perProvince[Math.floor(random() * provinceCount)]++;
+    }
+    provinces.forEach((province, p) => {
+        for (let number = 1; number <= perProvince[p]; number++) {
+            const eligibleVoters = 100000 + Math.floor(random() * 80000);
+            areas.push({
+                province,
+                number,
+                name: `${province.name} Area ${number}`,
+                eligibleVoters,
+                totalStations: Math.ceil(eligibleVoters / 800),
+                turnout: 0.6 + random() * 0.25,
+                invalidShare: 0.01 + random() * 0.03,
+                noVoteShare: 0.01 + random() * 0.02,
+                // Reporting window as fractions of the whole count duration
+                startsAt: random() * 0.4,
+                finishesAt: 0.5 + random() * 0.5,
+            });
+        }
+    });
+
+    // Candidates: 6-10 parties field a candidate in each area
+    const candidates = [];
+    let candidateId = 1;
+    for (const area of areas) {
+        const fielded = parties.filter(() => random() < 0.75);
+        if (fielded.length < 2) fielded.push(...parties.slice(0, 2));
+        const weights = fielded.map(party => party.strength * (0.3 + random()));
+        const weightTotal = weights.reduce((sum, w) => sum + w, 0);
+
+        area.candidates = fielded.map((party, index) => {
+            const firstName = FIRST_NAMES[Math.floor(random() * FIRST_NAMES.length)];
+            const lastName = LAST_NAMES[Math.floor(random() * LAST_NAMES.length)];
+            const id = candidateId++;
+            const candidate = {
+                id: `C${pad(id, 5)}`,
+                number: index + 1,
+                title: random() < 0.5 ? 'Mr.' : 'Ms.',
+                firstName,
+                lastName,
+                name: `${firstName} ${lastName} ${id}`,
+                party,
+                area,
+                share: weights[index] / weightTotal,
+            };
+            candidates.push(candidate);
+            return candidate;
+        });
+    }
+
+    for (const party of parties) {
+        party.totalCandidates = candidates.filter(c => c.party === party).length;
+    }
+
+    const partyList = [];
+    for (const party of parties) {
+        for (let number = 1; number <= partyListSize; number++) {
+            const firstName = FIRST_NAMES[Math.floor(random() * FIRST_NAMES.length)];
+            const lastName = LAST_NAMES[Math.floor(random() * LAST_NAMES.length)];
+            partyList.push({
+                name: `${firstName} ${lastName} ${party.code}-${number}`,
+                number,
+                title: random() < 0.5 ? 'Mr.' : 'Ms.',
+                firstName,
+                lastName,
+                pmCandidateRank: number <= 3 && party.strength > 1 ? number : null,
+                active: true,
+                party,
+            });
+        }
+    }
+
+    const questions = Array.from({ length: questionCount }, (_, i) => ({
+        questionNumber: i + 1,
+        questionText: `Referendum question ${i + 1}`,
+        agreeShare: 0.35 + random() * 0.3,
+    }));
+
+    // Each area leans its own way on each question, so provinces and areas can differ from the national result
+    for (const area of areas) {
+        area.referendumLean = questions.map(() => (random() - 0.5) * 0.3);
+    }
+
+    return { provinces, parties, areas, candidates, partyList, questions, startedAt: Date.now() };
+}
+
+/**
+ * Share (0..1) of an area's stations that have reported at `progress` (0..1 of the count)
+ */
+function reportedShare(area, progress) {
+    if (progress <= area.startsAt) return 0;
+    if (progress >= area.finishesAt) return 1;
+    return (progress - area.startsAt) / (area.finishesAt - area.startsAt);
+}
+
+function emptyTotals() {
+    return { eligibleVoters: 0, totalVotes: 0, goodVotes: 0, invalidVotes: 0, noVotes: 0, stationsReported: 0, totalStations: 0 };
+}
+
+function emptyReferendum() {
+    return { agree: 0, disagree: 0, goodVotes: 0, totalVotes: 0, invalidVotes: 0, noVotes: 0 };
+}
+
+function addTotals(target, source) {
+    for (const key of Object.keys(target)) target[key] += source[key];
+}
+
+/**
+ * Compute the state of the count at `progress` (0..1): per-area and per-candidate votes,
+ * per-area referendum votes, and every rollup the source API exposes.
+ */
+export function snapshot(election, progress) {
+    progress = Math.max(0, Math.min(1, progress));
+
+    const candidateResults = new Map();
+    const areaResults = new Map();
+    const provinceTotals = new Map(election.provinces.map(p => [p, emptyTotals()]));
+    const national = emptyTotals();
+    const partyVotes = new Map(election.parties.map(p => [p, 0]));
+    const partySeats = new Map(election.parties.map(p => [p, 0]));
+    const referendum = election.questions.map(question => ({
+        question,
+        areas: new Map(),
+        provinces: new Map(election.provinces.map(p => [p, emptyReferendum()])),
+        national: emptyReferendum(),
+    }));
+
+    for (const area of election.areas) {
+        const share = reportedShare(area, progress);
+        const stationsReported = Math.floor(area.totalStations * share);
+        const reported = stationsReported / area.totalStations;
+
+        const totalVotes = Math.round(area.eligibleVoters * area.turnout * reported);
+        const invalidVotes = Math.round(totalVotes * area.invalidShare);
+        const noVotes = Math.round(totalVotes * area.noVoteShare);
+        const goodVotes = totalVotes - invalidVotes - noVotes;
+
+        // Split good votes across candidates; the last one takes the rounding remainder
+        let assigned = 0;
+        const votes = area.candidates.map((candidate, index) => {
+            const value = index === area.candidates.length - 1
+                ? goodVotes - assigned
+                : Math.round(goodVotes * candidate.share);
+            assigned += value;
+            return value;
+        });
+
+        const ranked = area.candidates
+            .map((candidate, index) => ({ candidate, votes: votes[index] }))
+            .sort((a, b) => b.votes - a.votes);
+        ranked.forEach(({ candidate, votes: value }, index) => {
+            candidateResults.set(candidate, {
+                totalVotes: value,
+                percentage: percentage(value, goodVotes),
+                rank: goodVotes > 0 ? index + 1 : 0,
+            });
+            partyVotes.set(candidate.party, partyVotes.get(candidate.party) + value);
+        });
+        if (goodVotes > 0) {
+            partySeats.set(ranked[0].candidate.party, partySeats.get(ranked[0].candidate.party) + 1);
+        }
+
+        const totals = {
+            eligibleVoters: area.eligibleVoters,
+            totalVotes, goodVotes, invalidVotes, noVotes,
+            stationsReported, totalStations: area.totalStations,
+        };
+        areaResults.set(area, totals);
+        addTotals(provinceTotals.get(area.province), totals);
+        addTotals(national, totals);
+
+        // Referendum ballots are cast alongside: same turnout, invalid and no votes
+        election.questions.forEach((question, q) => {
+            const share = Math.max(0.05, Math.min(0.95, question.agreeShare + area.referendumLean[q]));
+            const agree = Math.round(goodVotes * share);
+            const votes = { agree, disagree: goodVotes - agree, goodVotes, totalVotes, invalidVotes, noVotes };
+            referendum[q].areas.set(area, votes);
+            addTotals(referendum[q].provinces.get(area.province), votes);
+            addTotals(referendum[q].national, votes);
+        });
+    }
+
+    // Party-list ballots follow party strength, on the national good-vote total
+    const strengthTotal = election.parties.reduce((sum, p) => sum + p.strength, 0);
+    const partyListVotes = election.parties.map(p => Math.round(national.goodVotes * (p.strength / strengthTotal)));
+    const allocation = allocateSeats(
+        election.parties.map((party, index) => ({ id: party.code, votes: partyListVotes[index] })),
+        { seats: 100, thresholdPercent: 0 },
+    );
+    const partyListSeats = election.parties.map(party => allocation.get(party.code));
+
+    return { progress, candidateResults, areaResults, provinceTotals, national, partyVotes, partySeats, partyListVotes, partyListSeats, referendum };
+}
+
+/**
+ * Turn counters into the `statistics` / `coverage` objects of the source API
+ */
+export function statisticsOf(totals) {
+    return {
+        statistics: {
+            goodVotes: totals.goodVotes,
+            totalVotes: totals.totalVotes,
+            invalidVotes: totals.invalidVotes,
+            noVotes: totals.noVotes,
+            eligibleVoters: totals.eligibleVoters,
+            voterTurnoutPercentage: percentage(totals.totalVotes, totals.eligibleVoters),
+        },
+        coverage: {
+            stationsReported: totals.stationsReported,
+            totalStations: totals.totalStations,
+            percentage: percentage(totals.stationsReported, totals.totalStations),
+        },
+    };
+}
+
@@ -0,0 +1,284 @@
+import http from 'http';
+import { isMainModule } from '../lib/cli.js';
+import { createElection, snapshot, statisticsOf } from './data.js';
+import { percentage } from '../lib/tally.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    PORT: Number(process.env.MOCK_PORT || 4010),
+    TOKEN: process.env.MOCK_TOKEN, // when set, requests must send `Authorization: Bearer <token>`
+    SEED: Number(process.env.MOCK_SEED || 69),
+    // Seconds for the count to go from 0% to 100% of stations
+    DURATION: Number(process.env.MOCK_DURATION || 1800),
+    // Fault injection
+    ERROR_RATE: Number(process.env.MOCK_ERROR_RATE || 0), // share of requests answered with 503
+    THROTTLE_RATE: Number(process.env.MOCK_THROTTLE_RATE || 0), // share answered with 429 + Retry-After
+    SLOW_RATE: Number(process.env.MOCK_SLOW_RATE || 0), // share of requests delayed by SLOW_MS
+    SLOW_MS: Number(process.env.MOCK_SLOW_MS || 3000),
+    DRIFT: process.env.MOCK_DRIFT === '1', // rename fields the way an upstream schema change would
+};
+
+const ref = party => ({ name: party.name, code: party.code });
+const provinceRef = province => ({ name: province.name, code: province.code });
+
+/**
+ * Slice a list the way the source API paginates (`page`, `per_page`)
+ */
+function paginate(items, query) {
+    const page = Math.max(1, Number(query.get('page') || 1));
+    const perPage = Math.max(1, Number(query.get('per_page') || 100));
+    const totalPages = Math.ceil(items.length / perPage);
+    return {
+        items: items.slice((page - 1) * perPage, page * perPage),
+        pagination: { page, perPage, totalItems: items.length, totalPages },
+    };
+}
+
+/**
+ * Route table: path -> builds the `data` object of the response
+ */
+function createRoutes(election, options) {
+    // Read on every request so drift can be switched on while the server runs
+    const isDrifted = () => options.drift;
+
+    function areaRef(area) {
+        return isDrifted() ? { number: area.number } : { areaNumber: area.number };
+    }
+
+    function withStatistics(totals) {
+        const { statistics, coverage } = statisticsOf(totals);
+        if (isDrifted()) {
+            // Upstream renamed goodVotes -> validVotes
+            const { goodVotes, ...rest } = statistics;
+            return { statistics: { ...rest, validVotes: goodVotes }, coverage };
+        }
+        return { statistics, coverage };
+    }
+
+    /**
+     * Question result with its agree/disagree options, from referendum vote counters
+     */
+    function referendumResult(question, votes) {
+        const drift = isDrifted();
+        const { agree, disagree, goodVotes, totalVotes, invalidVotes, noVotes } = votes;
+        const agreeFirst = agree >= disagree;
+        return {
+            questionNumber: question.questionNumber,
+            questionText: question.questionText,
+            options: [
+                { optionCode: drift ? 'yes' : 'agree', optionText: 'Agree', totalVotes: agree, percentage: percentage(agree, goodVotes), rank: agreeFirst ? 1 : 2 },
+                { optionCode: drift ? 'no' : 'disagree', optionText: 'Disagree', totalVotes: disagree, percentage: percentage(disagree, goodVotes), rank: agreeFirst ? 2 : 1 },
+            ],
+            goodVotes,
+            totalVotes,
+            invalidVotes,
+            noVotes,
+        };
+    }
+
+    return {
+        '/provinces': () => ({
+            provinces: election.provinces.map(p => ({ name: p.name, code: p.code, region: p.region })),
+        }),
+        '/parties': () => ({
+            parties: election.parties.map(p => ({
+                name: p.name, code: p.code, abbreviation: p.abbreviation,
+                color: p.color, logoUrl: p.logoUrl, totalCandidates: p.totalCandidates,
+            })),
+        }),
+        '/areas': (state, query) => {
+            const { items, pagination } = paginate(election.areas, query);
+            return {
+                electionAreas: items.map(area => ({
+                    name: area.name,
+                    number: area.number,
+                    eligibleVoters: area.eligibleVoters,
+                    province: provinceRef(area.province),
+                })),
+                pagination,
+            };
+        },
+        '/candidates': (state, query) => {
+            const { items, pagination } = paginate(election.candidates, query);
+            return {
+                candidates: items.map(c => ({
+                    id: c.id, name: c.name, title: c.title, firstName: c.firstName, lastName: c.lastName,
+                    photoUrl: `https://example.invalid/candidates/${c.id}.jpg`, active: true, number: c.number,
+                    party: ref(c.party),
+                    province: provinceRef(c.area.province),
+                    [isDrifted() ? 'area' : 'electionArea']: areaRef(c.area),
+                })),
+                pagination,
+            };
+        },
+        '/score': (state, query) => {
+            const { items, pagination } = paginate(election.candidates, query);
+            return {
+                candidates: items.map(c => ({
+                    id: c.id, name: c.name, number: c.number,
+                    party: ref(c.party),
+                    province: provinceRef(c.area.province),
+                    [isDrifted() ? 'area' : 'electionArea']: areaRef(c.area),
+                    ...state.candidateResults.get(c),
+                })),
+                pagination,
+            };
+        },
+        '/partylist': (state, query) => {
+            const { items, pagination } = paginate(election.partyList, query);
+            return {
+                partyLists: items.map(entry => ({
+                    name: entry.name, number: entry.number, title: entry.title,
+                    firstName: entry.firstName, lastName: entry.lastName,
+                    pmCandidateRank: entry.pmCandidateRank, active: entry.active,
+                    party: ref(entry.party),
+                })),
+                pagination,
+            };
+        },
+        '/referendum': (state) => ({
+            questions: state.referendum.map(({ question, national }) => referendumResult(question, national)),
+        }),
+        '/referendum-provinces': (state) => ({
+            results: state.referendum.flatMap(({ question, provinces }) => election.provinces.map(province => ({
+                provinceCode: province.code,
+                provinceName: province.name,
+                ...referendumResult(question, provinces.get(province)),
+            }))),
+        }),
+        '/referendum-areas': (state, query) => {
+            const rows = state.referendum.flatMap(({ question, areas }) => election.areas.map(area => ({ question, area, votes: areas.get(area) })));
+            const { items, pagination } = paginate(rows, query);
+            return {
+                results: items.map(({ question, area, votes }) => ({
+                    provinceCode: area.province.code,
+                    [isDrifted() ? 'area' : 'electionArea']: areaRef(area),
+                    ...referendumResult(question, votes),
+                })),
+                pagination,
+            };
+        },
+        // This endpoint answers with the list itself as `data`
+        '/province-statistics': (state) => election.provinces.map(province => ({
+            provinceName: province.name,
+            provinceCode: province.code,
+            ...withStatistics(state.provinceTotals.get(province)),
+        })),
+        '/national-statistics': (state) => withStatistics(state.national),
+        '/national-summary': (state) => {
+            const goodVotes = state.national.goodVotes;
+            return {
+                parties: election.parties.map((party, i) => ({
+                    party: ref(party),
+                    totalVotes: state.partyVotes.get(party),
+                    percentage: percentage(state.partyVotes.get(party), goodVotes),
+                    constituencySeats: state.partySeats.get(party),
+                    partyListSeats: state.partyListSeats[i],
+                    totalSeats: state.partySeats.get(party) + state.partyListSeats[i],
+                })),
+            };
+        },
+        '/partylist-results': (state) => {
+            const total = state.partyListVotes.reduce((sum, v) => sum + v, 0);
+            return {
+                parties: election.parties.map((party, i) => ({
+                    party: ref(party),
+                    totalVotes: state.partyListVotes[i],
+                    percentage: percentage(state.partyListVotes[i], total),
+                    partyListSeats: state.partyListSeats[i],
+                })),
+            };
+        },
+    };
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the mock source API server (not listening yet).
+ * `progress` can be pinned for tests; otherwise it follows the wall clock over `duration` seconds.
+ *
+ * @param {Object} [options] - Defaults come from the MOCK_* environment variables
+ * @param {number} [options.seed]
+ * @param {number} [options.duration] - Seconds from 0% to 100% counted
+ * @param {() => number} [options.progress] - Custom progress source (0..1)
+ * @param {string} [options.token]
+ * @param {number} [options.errorRate]
+ * @param {number} [options.throttleRate]
+ * @param {number} [options.slowRate]
+ * @param {number} [options.slowMs]
+ * @param {boolean} [options.drift]
+ * @param {Object} [options.election] - createElection() options
+ * @returns {http.Server & { election: Object, options: Object }} `options` can be changed while running
+ */
+export function createMockServer(options = {}) {
+    options = {
+        seed: CONFIG.SEED,
+        duration: CONFIG.DURATION,
+        token: CONFIG.TOKEN,
+        errorRate: CONFIG.ERROR_RATE,
+        throttleRate: CONFIG.THROTTLE_RATE,
+        slowRate: CONFIG.SLOW_RATE,
+        slowMs: CONFIG.SLOW_MS,
+        drift: CONFIG.DRIFT,
+        ...options,
+    };
+
+    const election = createElection({ seed: options.seed, ...options.election });
+    const routes = createRoutes(election, options);
+    const progress = options.progress || (() => (Date.now() - election.startedAt) / (options.duration * 1000));
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = routes[url.pathname.replace(/\/+$/, '')];
+
+        if (req.method !== 'GET' || !route) {
+            return sendJson(res, 404, { success: false, message: 'Not Found' });
+        }
+        if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+            return sendJson(res, 401, { success: false, message: 'Unauthorized' });
+        }
+
+        if (Math.random() < options.slowRate) {
+            await new Promise(resolve => setTimeout(resolve, options.slowMs));
+        }
+        if (Math.random() < options.throttleRate) {
+            return sendJson(res, 429, { success: false, message: 'Too Many Requests' }, { 'Retry-After': '1' });
+        }
+        if (Math.random() < options.errorRate) {
+            return sendJson(res, 503, { success: false, message: 'Service Unavailable' });
+        }
+
+        const state = snapshot(election, progress());
+        sendJson(res, 200, { success: true, data: route(state, url.searchParams) });
+    });
+
+    server.election = election;
+    server.options = options;
+    return server;
+}
+
+if (isMainModule(import.meta.url)) {
+    const server = createMockServer();
+    server.listen(CONFIG.PORT, () => {
+        const base = `http://localhost:${CONFIG.PORT}`;
+        console.log(`🧪 Mock election API listening on ${base} (count runs over ${CONFIG.DURATION}s)`);
+        console.log('   Point the runner at it with:');
+        console.log(`   SOURCE_PROVINCES_URL=${base}/provinces`);
+        console.log(`   SOURCE_PARTIES_URL=${base}/parties`);
+        console.log(`   SOURCE_AREAS_URL=${base}/areas`);
+        console.log(`   SOURCE_CANDIDATES_STATIC_URL=${base}/candidates`);
+        console.log(`   SOURCE_PARTYLIST_URL=${base}/partylist`);
+        console.log(`   SOURCE_REFERENDUM_URL=${base}/referendum`);
+        console.log(`   SOURCE_REFERENDUM_PROVINCES_URL=${base}/referendum-provinces`);
+        console.log(`   SOURCE_REFERENDUM_AREAS_URL=${base}/referendum-areas`);
+        console.log(`   SOURCE_SCORE_URL=${base}/score`);
+        console.log(`   SOURCE_PROVINCE_STATISTICS_URL=${base}/province-statistics`);
+        console.log(`   SOURCE_NATIONAL_STATISTICS_URL=${base}/national-statistics`);
+        console.log(`   SOURCE_NATIONAL_SUMMARY_REALTIME_URL=${base}/national-summary`);
+        console.log(`   SOURCE_PARTYLIST_RESULTS_URL=${base}/partylist-results`);
+    });
+}
@@ -6,43 +6,88 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, '.env') });
 
-import PocketBase from 'pocketbase';
+import PocketBase, { isTokenExpired } from 'pocketbase';
+import { createRateLimiter } from './lib/concurrency.js';
+import { withRetry, isRetryable, isRetryableWrite } from './lib/retry.js';
 
 // --- CONFIGURATION ---
 const CONFIG = {
     URL: process.env.PB_BASE_URL,
     EMAIL: process.env.PB_EMAIL,
     PASSWORD: process.env.PB_PASSWORD,
+    // Optional cap on PocketBase requests per second (0 = unlimited)
+    RATE_LIMIT: Number(process.env.PB_RATE_LIMIT || 0),
+    // Re-authenticate when the token expires within this many seconds
+    REFRESH_THRESHOLD: Number(process.env.PB_REFRESH_THRESHOLD || 300),
 };
 
-// Validate configuration
-if (!CONFIG.EMAIL || !CONFIG.PASSWORD) {
-    console.error("❌ Missing PocketBase credentials in .env file.");
-    process.exit(1);
+const pb = new PocketBase(CONFIG.URL);
+
+// Requests run in parallel, so disable the SDK's auto-cancellation of duplicate requests
+pb.autoCancellation(false);
+
+const rateLimit = createRateLimiter(CONFIG.RATE_LIMIT);
+pb.beforeSend = async (url, options) => {
+    await rateLimit();
+    return { url, options };
+};
+
+// Keep Retry-After on the error body; ClientResponseError does not expose response headers
+pb.afterSend = (response, data) => {
+    const retryAfter = response.headers.get('retry-after');
+    if (response.status >= 400 && retryAfter && data && typeof data === 'object') {
+        data.retryAfter = retryAfter;
+    }
+    return data;
+};
+
+function isAuthRequest(path) {
+    return path.includes('/auth-with-password') || path.includes('/auth-refresh');
 }
 
-const pb = new PocketBase(CONFIG.URL);
+// Retry transient failures (network, 429, 5xx) on reads, updates and logins.
+// A create (POST) may have been written before it failed, so it is retried only on 429.
+const send = pb.send.bind(pb);
+const sendWithRetry = (path, options) => {
+    const method = (options?.method || 'GET').toUpperCase();
+    const isCreate = method === 'POST' && !isAuthRequest(path);
+    return withRetry(
+        () => send(path, options),
+        { label: `PocketBase ${method} ${path}`, retryIf: isCreate ? isRetryableWrite : isRetryable }
+    );
+};
+
+// Shared in-flight login so parallel requests re-authenticate only once
+let loggingIn = null;
 
 /**
- * Authenticate using Admin or User credentials
- * @returns {Promise<PocketBase>} Authenticated PocketBase instance
+ * Whether an error means our token was not accepted.
+ * PocketBase treats an expired token as a guest, so rule-protected calls may answer 403/404 instead of 401.
  */
-export async function authenticate() {
-    // Return existing auth if valid
-    if (pb.authStore.isValid) {
-        return pb;
+function isAuthFailure(error) {
+    if (error.status === 401) return true;
+    return (error.status === 403 || error.status === 404) && !pb.authStore.isValid;
+}
+
+/**
+ * Log in with the user-then-superuser flow
+ */
+async function login() {
+    // Validate configuration (here rather than at import, so modules stay importable in tests)
+    if (!CONFIG.EMAIL || !CONFIG.PASSWORD) {
+        throw new Error('Missing PocketBase credentials in .env file.');
     }
 
     console.log('🔐 Authenticating with PocketBase...');
+    pb.authStore.clear();
     try {
         try {
             await pb.collection('users').authWithPassword(CONFIG.EMAIL, CONFIG.PASSWORD);
             console.log('✅ User Authentication successful.');
         } catch (userAuthError) {
-            // console.warn('User Auth Failed:', JSON.stringify(userAuthError, Object.getOwnPropertyNames(userAuthError), 2));
             console.log('ℹ️  User auth failed, trying Admin auth...');
-            // Fallback to superuser/admin
-            await pb.admins.authWithPassword(CONFIG.EMAIL, CONFIG.PASSWORD);
+            // Fallback to superuser (PocketBase >= 0.23 `_superusers` auth collection)
+            await pb.collection('_superusers').authWithPassword(CONFIG.EMAIL, CONFIG.PASSWORD);
             console.log('✅ Admin Authentication successful.');
         }
         return pb;
@@ -51,3 +96,50 @@ export async function authenticate() {
         throw new Error(`Authentication Failed: ${error.message}`);
     }
 }
+
+function relogin() {
+    if (!loggingIn) {
+        loggingIn = login().finally(() => {
+            loggingIn = null;
+        });
+    }
+    return loggingIn;
+}
+
+function isExpiringSoon() {
+    return !pb.authStore.token || isTokenExpired(pb.authStore.token, CONFIG.REFRESH_THRESHOLD);
+}
+
+// Refresh the token before it expires, and replay a request once if the token was rejected
+pb.send = async (path, options) => {
+    if (isAuthRequest(path)) return sendWithRetry(path, options);
+
+    if (pb.authStore.token && isExpiringSoon()) {
+        console.log('🔑 Token is about to expire, re-authenticating...');
+        await relogin();
+    }
+
+    try {
+        return await sendWithRetry(path, options);
+    } catch (error) {
+        if (!isAuthFailure(error)) throw error;
+
+        console.log(`🔑 Request rejected with ${error.status}, re-authenticating and retrying...`);
+        await relogin();
+        return sendWithRetry(path, options);
+    }
+};
+
+/**
+ * Authenticate using User or Superuser credentials.
+ * Later requests re-authenticate transparently when the token nears expiry or is rejected.
+ * @returns {Promise<PocketBase>} Authenticated PocketBase instance
+ */
+export async function authenticate() {
+    // Return existing auth if still valid for a while
+    if (pb.authStore.isValid && !isExpiringSoon()) {
+        return pb;
+    }
+
+    return relogin();
+}
@@ -0,0 +1,86 @@
+import 'dotenv/config';
+import { createDerive } from '../lib/sync.js';
+import { percentage } from '../lib/tally.js';
+import { isMainModule, runMain } from '../lib/cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    POCKETBASE: {
+        COLLECTION: 'areas',
+        COLLECTION_CANDIDATES: 'candidates',
+        COLLECTION_PROVINCES: 'provinces',
+    },
+};
+
+/**
+ * Area status from what has been counted so far.
+ * The source has no per-area station coverage, so an area is "won" once
+ * every station of its province has reported.
+ * @returns {'pending'|'leading'|'won'}
+ */
+function statusOf(countedVotes, province) {
+    if (countedVotes === 0) return 'pending';
+    return province && province.percentage >= 100 ? 'won' : 'leading';
+}
+
+/**
+ * Group the scored candidates by area and compute each area's leader, runner-up and margin
+ */
+async function buildAreaResults(pb) {
+    const [areas, candidates, provinces] = await Promise.all([
+        pb.collection(CONFIG.POCKETBASE.COLLECTION).getFullList(),
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_CANDIDATES).getFullList(),
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_PROVINCES).getFullList(),
+    ]);
+    const provinceById = new Map(provinces.map(province => [province.id, province]));
+
+    const candidatesByArea = new Map();
+    for (const candidate of candidates) {
+        if (!candidate.area) continue;
+        if (!candidatesByArea.has(candidate.area)) candidatesByArea.set(candidate.area, []);
+        candidatesByArea.get(candidate.area).push(candidate);
+    }
+
+    return areas.map(area => {
+        const ranked = (candidatesByArea.get(area.id) || [])
+            .filter(candidate => candidate.totalVotes > 0)
+            .sort((a, b) => b.totalVotes - a.totalVotes);
+        const [leader, runnerUp] = ranked;
+        const countedVotes = ranked.reduce((sum, candidate) => sum + candidate.totalVotes, 0);
+        const margin = leader ? leader.totalVotes - (runnerUp?.totalVotes || 0) : 0;
+
+        return {
+            id: area.id,
+            name: area.name,
+            leader: leader?.id || '',
+            leaderParty: leader?.party || '',
+            leaderVotes: leader?.totalVotes || 0,
+            runnerUp: runnerUp?.id || '',
+            runnerUpParty: runnerUp?.party || '',
+            runnerUpVotes: runnerUp?.totalVotes || 0,
+            margin,
+            marginPercentage: percentage(margin, countedVotes),
+            countedVotes,
+            status: statusOf(countedVotes, provinceById.get(area.province)),
+        };
+    });
+}
+
+export const run = createDerive({
+    title: 'Area Results',
+    items: buildAreaResults,
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    matchField: 'id',
+    key: item => item.id,
+    payload: ({ id, name, ...result }) => result,
+    create: false,
+    // "X overtook Y": keep who led before the latest lead change
+    delta: (existing, payload) => (existing.leader && payload.leader && existing.leader !== payload.leader
+        ? { previousLeader: existing.leader, leaderChangedAt: new Date().toISOString() }
+        : {}),
+    history: { scope: 'areas', fields: ['leader', 'margin', 'countedVotes', 'status'] },
+    label: item => item.name,
+    describe: (existing, payload) => `${payload.status}, margin ${payload.margin}`,
+});
+
+if (isMainModule(import.meta.url)) runMain(run);
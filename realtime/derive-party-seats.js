@@ -0,0 +1,57 @@
+import 'dotenv/config';
+import { createDerive } from '../lib/sync.js';
+import { countSeats } from '../lib/tally.js';
+import { isMainModule, runMain } from '../lib/cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    POCKETBASE: {
+        COLLECTION: 'parties',
+        COLLECTION_AREAS: 'areas',
+    },
+};
+
+/**
+ * Count the areas each party leads (see derive-area-results.js) as its projected constituency seats
+ */
+async function buildPartySeats(pb) {
+    const [parties, areas] = await Promise.all([
+        pb.collection(CONFIG.POCKETBASE.COLLECTION).getFullList(),
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_AREAS).getFullList(),
+    ]);
+
+    const { seatsLed, seatsWon } = countSeats(areas);
+
+    const items = parties.map(party => ({
+        id: party.id,
+        name: party.name,
+        officialSeats: party.constituencySeats,
+        projectedConstituencySeats: seatsLed[party.id] || 0,
+        projectedConstituencyWon: seatsWon[party.id] || 0,
+    }));
+
+    for (const item of items) {
+        if (typeof item.officialSeats === 'number' && item.officialSeats !== item.projectedConstituencySeats) {
+            console.warn(`   [⚠️ MISMATCH] ${item.name}: official ${item.officialSeats}, projected ${item.projectedConstituencySeats}`);
+        }
+    }
+    return items;
+}
+
+export const run = createDerive({
+    title: 'Projected Constituency Seats',
+    items: buildPartySeats,
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    matchField: 'id',
+    key: item => item.id,
+    payload: item => ({
+        projectedConstituencySeats: item.projectedConstituencySeats,
+        projectedConstituencyWon: item.projectedConstituencyWon,
+    }),
+    create: false,
+    history: { scope: 'party-seats', fields: ['projectedConstituencySeats', 'projectedConstituencyWon'] },
+    label: item => item.name,
+    describe: (existing, payload) => `Projected: ${payload.projectedConstituencySeats}, official: ${existing.constituencySeats ?? '-'}`,
+});
+
+if (isMainModule(import.meta.url)) runMain(run);
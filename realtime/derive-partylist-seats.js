@@ -0,0 +1,62 @@
+import 'dotenv/config';
+import { createDerive } from '../lib/sync.js';
+import { allocateSeats } from '../lib/partylist-allocation.js';
+import { loadPartylistByParty, syncListFlag } from '../lib/partylist.js';
+import { isMainModule, runMain } from '../lib/cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    POCKETBASE: {
+        COLLECTION: 'parties',
+    },
+};
+
+let partylistByParty = new Map();
+
+/**
+ * Allocate the party-list seats locally from the party-list votes synced onto parties
+ * (see sync-partylist-results.js), capped by each party's list size
+ */
+async function buildProjection(pb) {
+    const [parties, byParty] = await Promise.all([
+        pb.collection(CONFIG.POCKETBASE.COLLECTION).getFullList(),
+        loadPartylistByParty(pb),
+    ]);
+    partylistByParty = byParty;
+
+    const seats = allocateSeats(parties.map(party => ({
+        id: party.id,
+        votes: party.partyListVotes || 0,
+        listSize: partylistByParty.get(party.id)?.length || 0,
+    })));
+
+    return parties.map(party => ({
+        id: party.id,
+        name: party.name,
+        projectedPartyListSeats: seats.get(party.id),
+    }));
+}
+
+/**
+ * Mark the list candidates #1..#seats of a party as projected to be elected
+ */
+function syncProjectedElected(pb, party, payload) {
+    const records = partylistByParty.get(party.id) || [];
+    return syncListFlag(pb, party, records, payload.projectedPartyListSeats || 0, 'projectedElected');
+}
+
+export const run = createDerive({
+    title: 'Projected Party List Seats',
+    items: buildProjection,
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    matchField: 'id',
+    key: item => item.id,
+    payload: item => ({ projectedPartyListSeats: item.projectedPartyListSeats }),
+    create: false,
+    afterItem: syncProjectedElected,
+    history: { scope: 'partylist-projection', fields: ['projectedPartyListSeats'] },
+    label: item => item.name,
+    describe: (existing, payload) => `Projected: ${payload.projectedPartyListSeats}, official: ${existing.partyListResultSeats ?? '-'}`,
+});
+
+if (isMainModule(import.meta.url)) runMain(run);
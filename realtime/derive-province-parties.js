@@ -0,0 +1,91 @@
+import 'dotenv/config';
+import { createDerive, joinKey } from '../lib/sync.js';
+import { percentage, isLed } from '../lib/tally.js';
+import { isMainModule, runMain } from '../lib/cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    POCKETBASE: {
+        COLLECTION: 'province_parties',
+        COLLECTION_CANDIDATES: 'candidates',
+        COLLECTION_AREAS: 'areas',
+        COLLECTION_PROVINCES: 'provinces',
+        COLLECTION_PARTIES: 'parties',
+    },
+};
+
+/**
+ * Sum constituency votes and areas led per province and party, and rank the parties of each province
+ */
+async function buildProvinceParties(pb) {
+    const [candidates, areas, provinces, parties] = await Promise.all([
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_CANDIDATES).getFullList(),
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_AREAS).getFullList(),
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_PROVINCES).getFullList(),
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_PARTIES).getFullList(),
+    ]);
+    const provinceName = new Map(provinces.map(province => [province.id, province.name]));
+    const partyName = new Map(parties.map(party => [party.id, party.name]));
+
+    const rows = new Map(); // joinKey(province, party) -> row
+    function rowOf(province, party) {
+        const key = joinKey(province, party);
+        if (!rows.has(key)) {
+            rows.set(key, { province, party, totalVotes: 0, areasLed: 0 });
+        }
+        return rows.get(key);
+    }
+
+    for (const candidate of candidates) {
+        if (!candidate.province || !candidate.party) continue;
+        rowOf(candidate.province, candidate.party).totalVotes += candidate.totalVotes || 0;
+    }
+    for (const area of areas) {
+        if (!area.province || !isLed(area)) continue;
+        rowOf(area.province, area.leaderParty).areasLed++;
+    }
+
+    const byProvince = new Map();
+    for (const row of rows.values()) {
+        if (!byProvince.has(row.province)) byProvince.set(row.province, []);
+        byProvince.get(row.province).push(row);
+    }
+
+    const items = [];
+    for (const group of byProvince.values()) {
+        const provinceVotes = group.reduce((sum, row) => sum + row.totalVotes, 0);
+        group.sort((a, b) => b.areasLed - a.areasLed || b.totalVotes - a.totalVotes);
+        group.forEach((row, index) => {
+            items.push({
+                ...row,
+                name: `${provinceName.get(row.province) || row.province} / ${partyName.get(row.party) || row.party}`,
+                percentage: percentage(row.totalVotes, provinceVotes),
+                // Nothing is ranked before the first votes are counted
+                rank: provinceVotes > 0 ? index + 1 : 0,
+            });
+        });
+    }
+    return items;
+}
+
+export const run = createDerive({
+    title: 'Province Party Breakdown',
+    items: buildProvinceParties,
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    matchKey: record => joinKey(record.province, record.party),
+    key: item => joinKey(item.province, item.party),
+    payload: item => ({
+        province: item.province,
+        party: item.party,
+        totalVotes: item.totalVotes,
+        percentage: item.percentage,
+        areasLed: item.areasLed,
+        rank: item.rank,
+        isTop: item.rank === 1,
+    }),
+    history: { scope: 'province-parties', fields: ['totalVotes', 'areasLed', 'rank'] },
+    label: item => item.name,
+    describe: (existing, payload) => `Votes: ${existing.totalVotes} -> ${payload.totalVotes}, led: ${payload.areasLed}`,
+});
+
+if (isMainModule(import.meta.url)) runMain(run);
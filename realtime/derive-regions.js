@@ -0,0 +1,114 @@
+import 'dotenv/config';
+import { createDerive } from '../lib/sync.js';
+import { leadingOption } from '../lib/referendum.js';
+import { percentage, countSeats } from '../lib/tally.js';
+import { isMainModule, runMain } from '../lib/cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    POCKETBASE: {
+        COLLECTION: 'regions',
+        COLLECTION_PROVINCES: 'provinces',
+        COLLECTION_AREAS: 'areas',
+        COLLECTION_REFERENDUM: 'referendum',
+        // Per-province referendum results; optional, regions get no referendum figures without it
+        COLLECTION_REFERENDUM_PROVINCES: 'referendum_provinces',
+    },
+};
+
+const COUNTERS = ['eligibleVoters', 'totalVotes', 'goodVotes', 'invalidVotes', 'noVotes', 'stationsReported', 'totalStations'];
+
+/**
+ * Load a collection that may not exist yet, as an empty list
+ */
+async function getOptionalList(pb, collection) {
+    try {
+        return await pb.collection(collection).getFullList();
+    } catch (error) {
+        if (error.status === 404) return [];
+        throw error;
+    }
+}
+
+/**
+ * Sum the votes of each referendum option per question over the provinces of a region
+ */
+function sumReferendum(rows, questions) {
+    const byQuestion = new Map(); // question id -> Map(option code -> votes)
+    for (const row of rows) {
+        if (!byQuestion.has(row.question)) byQuestion.set(row.question, new Map());
+        const totals = byQuestion.get(row.question);
+        for (const option of row.options || []) {
+            totals.set(option.code, (totals.get(option.code) || 0) + option.totalVotes);
+        }
+    }
+
+    return questions
+        .filter(question => byQuestion.has(question.id))
+        .map(question => {
+            const totals = byQuestion.get(question.id);
+            const votes = [...totals.values()].reduce((sum, value) => sum + value, 0);
+            const options = [...totals].map(([code, totalVotes]) => ({
+                code,
+                totalVotes,
+                percentage: percentage(totalVotes, votes),
+            }));
+            return { question: question.id, number: question.number, options, leading: leadingOption(options) };
+        });
+}
+
+/**
+ * Roll the provinces (statistics from sync-provinces.js) and their areas
+ * (leaders from derive-area-results.js) up to their `region`
+ */
+async function buildRegions(pb) {
+    const [provinces, areas, questions, referendumRows] = await Promise.all([
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_PROVINCES).getFullList(),
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_AREAS).getFullList(),
+        pb.collection(CONFIG.POCKETBASE.COLLECTION_REFERENDUM).getFullList(),
+        getOptionalList(pb, CONFIG.POCKETBASE.COLLECTION_REFERENDUM_PROVINCES),
+    ]);
+    questions.sort((a, b) => a.number - b.number);
+
+    const regions = new Map(); // region name -> province records
+    for (const province of provinces) {
+        if (!province.region) continue;
+        if (!regions.has(province.region)) regions.set(province.region, []);
+        regions.get(province.region).push(province);
+    }
+
+    return [...regions].map(([name, members]) => {
+        const ids = new Set(members.map(province => province.id));
+        const regionAreas = areas.filter(area => ids.has(area.province));
+        const totals = Object.fromEntries(COUNTERS.map(field => [
+            field,
+            members.reduce((sum, province) => sum + (province[field] || 0), 0),
+        ]));
+        const referendum = sumReferendum(referendumRows.filter(row => ids.has(row.province)), questions);
+
+        return {
+            name,
+            provinces: members.length,
+            areas: regionAreas.length,
+            ...totals,
+            voterTurnoutPercentage: percentage(totals.totalVotes, totals.eligibleVoters),
+            percentage: percentage(totals.stationsReported, totals.totalStations),
+            ...countSeats(regionAreas),
+            referendum: referendum.length > 0 ? referendum : null,
+        };
+    });
+}
+
+export const run = createDerive({
+    title: 'Region Rollups',
+    items: buildRegions,
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    matchField: 'name',
+    key: item => item.name,
+    payload: item => item,
+    history: { scope: 'regions', fields: ['totalVotes', 'voterTurnoutPercentage', 'percentage', 'seatsLed'] },
+    label: item => item.name,
+    describe: (existing, payload) => `Turnout: ${payload.voterTurnoutPercentage}%, coverage: ${payload.percentage}%`,
+});
+
+if (isMainModule(import.meta.url)) runMain(run);
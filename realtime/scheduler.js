@@ -0,0 +1,130 @@
+import 'dotenv/config';
+import { authenticate } from '../pb.js';
+import { run as syncScore } from './sync-score.js';
+import { run as syncProvinces } from './sync-provinces.js';
+import { run as syncNationalParties } from './sync-national-parties.js';
+import { run as syncNationalStatistics } from './sync-national-statistics.js';
+import { run as syncPartylistResults } from './sync-partylist-results.js';
+// The national referendum results also drive the flip events and the referendum history
+import { run as syncReferendum } from '../masterdata/sync-referendum.js';
+import { run as syncReferendumProvinces } from './sync-referendum-provinces.js';
+import { run as syncReferendumAreas } from './sync-referendum-areas.js';
+import { run as deriveAreaResults } from './derive-area-results.js';
+import { run as derivePartySeats } from './derive-party-seats.js';
+import { run as derivePartylistSeats } from './derive-partylist-seats.js';
+import { run as deriveProvinceParties } from './derive-province-parties.js';
+import { run as deriveRegions } from './derive-regions.js';
+
+// --- CONFIGURATION ---
+// Intervals are in seconds. Set an interval to 0 to disable that sync.
+// Jobs with `after` have no interval: they run each time one of the listed jobs finishes.
+const DEFAULT_INTERVAL = Number(process.env.SCHEDULE_DEFAULT_INTERVAL || 60);
+
+function interval(envName, fallback = DEFAULT_INTERVAL) {
+    const value = process.env[envName];
+    return value === undefined || value === '' ? fallback : Number(value);
+}
+
+const JOBS = [
+    { name: 'score', run: syncScore, interval: interval('SCHEDULE_SCORE_INTERVAL', 30) },
+    { name: 'provinces', run: syncProvinces, interval: interval('SCHEDULE_PROVINCES_INTERVAL') },
+    { name: 'national-parties', run: syncNationalParties, interval: interval('SCHEDULE_NATIONAL_PARTIES_INTERVAL') },
+    { name: 'national-statistics', run: syncNationalStatistics, interval: interval('SCHEDULE_NATIONAL_STATISTICS_INTERVAL', 30) },
+    { name: 'partylist-results', run: syncPartylistResults, interval: interval('SCHEDULE_PARTYLIST_RESULTS_INTERVAL') },
+    { name: 'referendum', run: syncReferendum, interval: interval('SCHEDULE_REFERENDUM_INTERVAL') },
+    { name: 'referendum-provinces', run: syncReferendumProvinces, interval: interval('SCHEDULE_REFERENDUM_PROVINCES_INTERVAL') },
+    { name: 'referendum-areas', run: syncReferendumAreas, interval: interval('SCHEDULE_REFERENDUM_AREAS_INTERVAL') },
+    { name: 'area-results', run: deriveAreaResults, interval: interval('SCHEDULE_AREA_RESULTS_INTERVAL', 30) },
+    // Built from the area leaders, so they follow area-results instead of running on a timer
+    { name: 'party-seats', run: derivePartySeats, after: ['area-results'] },
+    { name: 'province-parties', run: deriveProvinceParties, after: ['area-results'] },
+    { name: 'partylist-seats', run: derivePartylistSeats, interval: interval('SCHEDULE_PARTYLIST_SEATS_INTERVAL') },
+    { name: 'regions', run: deriveRegions, after: ['provinces', 'area-results', 'referendum-provinces'] },
+];
+
+const timers = [];
+const running = new Map(); // job name -> promise of the current run
+const rerun = new Set(); // followers triggered while they were running
+let stopping = false;
+
+/**
+ * Run a job once, unless its previous run is still in progress.
+ * A follower triggered mid-run runs again once it finishes, so it always sees the latest
+ * data of the jobs it follows; interval ticks are simply skipped.
+ */
+async function tick(job, { triggered = false } = {}) {
+    if (running.has(job.name)) {
+        if (triggered) {
+            rerun.add(job.name);
+            console.log(`⏳ [${job.name}] Previous run still in progress, running again when it finishes.`);
+        } else {
+            console.log(`⏳ [${job.name}] Previous run still in progress, skipping this tick.`);
+        }
+        return;
+    }
+
+    const startedAt = Date.now();
+    console.log(`\n▶️  [${job.name}] Run started at ${new Date(startedAt).toISOString()}`);
+
+    const promise = job.run()
+        .then(() => {
+            console.log(`⏹️  [${job.name}] Run finished in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+            if (!stopping) {
+                for (const follower of JOBS.filter(other => other.after?.includes(job.name))) {
+                    tick(follower, { triggered: true });
+                }
+            }
+        })
+        .catch((error) => {
+            console.error(`⛔ [${job.name}] Run failed: ${error.message}`);
+        })
+        .finally(() => {
+            running.delete(job.name);
+            if (rerun.delete(job.name) && !stopping) tick(job, { triggered: true });
+        });
+
+    running.set(job.name, promise);
+    return promise;
+}
+
+/**
+ * Stop scheduling new runs and wait for the in-flight ones to finish
+ */
+async function shutdown(signal) {
+    console.log(`\n🛑 Received ${signal}, waiting for ${running.size} running job(s)...`);
+    stopping = true;
+    for (const timer of timers) clearInterval(timer);
+    await Promise.allSettled(running.values());
+    console.log('👋 Scheduler stopped.');
+    process.exit(0);
+}
+
+async function main() {
+    try {
+        // Authenticate once up front; every sync reuses the same client from pb.js
+        await authenticate();
+    } catch (error) {
+        console.error(`\n⛔ FATAL ERROR: ${error.message}`);
+        process.exit(1);
+    }
+
+    console.log('🚀 Starting Realtime Scheduler...');
+    for (const job of JOBS) {
+        if (job.after) {
+            console.log(`   [🔗 AFTER ${job.after.join(', ')}] ${job.name}`);
+            continue;
+        }
+        if (!(job.interval > 0)) {
+            console.log(`   [⏭️ DISABLED] ${job.name}`);
+            continue;
+        }
+        console.log(`   [⏱️ EVERY ${job.interval}s] ${job.name}`);
+        tick(job);
+        timers.push(setInterval(() => tick(job), job.interval * 1000));
+    }
+
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main();
@@ -1,51 +1,69 @@
 import 'dotenv/config';
-import axios from 'axios';
-import { authenticate } from '../pb.js';
+import { createSync } from '../lib/sync.js';
+import { checkVoteSum, checkCoverage } from '../lib/integrity.js';
+import { createEvent, crossed, milestonesFrom } from '../lib/events.js';
+import { isMainModule, runMain } from '../lib/cli.js';
 
 // --- CONFIGURATION ---
 const CONFIG = {
     SOURCE: {
+        // Structure from curl output:
+        // {
+        //   "data": {
+        //     "statistics": { "goodVotes": ... },
+        //     "coverage": { "stationsReported": ... }
+        //   }
+        // }
         URL: process.env.SOURCE_NATIONAL_STATISTICS_URL,
         TOKEN: process.env.SOURCE_TOKEN,
     },
     POCKETBASE: {
         COLLECTION: 'national',
     },
+    // Turnout percentages that raise a `turnout-milestone` event
+    TURNOUT_MILESTONES: milestonesFrom('EVENT_TURNOUT_MILESTONES', [25, 50, 60, 70, 75, 80]),
 };
 
 /**
- * Fetch data from the source API
+ * We assume there's only one "national" record, so the first one is the match
  */
-async function fetchData() {
-    console.log(`🌐 Fetching data from: ${CONFIG.SOURCE.URL}`);
-    try {
-        const response = await axios.get(CONFIG.SOURCE.URL, {
-            headers: { Authorization: `Bearer ${CONFIG.SOURCE.TOKEN}` }
-        });
-
-        // Structure from curl output:
-        // {
-        //   "data": {
-        //     "statistics": { "goodVotes": ... },
-        //     "coverage": { "stationsReported": ... }
-        //   }
-        // }
-        return response.data.data;
-    } catch (error) {
-        throw new Error(`Fetch Failed: ${error.message}`);
-    }
+async function findNational(pb) {
+    const list = await pb.collection(CONFIG.POCKETBASE.COLLECTION).getList(1, 1);
+    return list.items[0] || null;
 }
 
-/**
- * Sync data to PocketBase
- */
-async function syncData(pb, data) {
-    if (!data || !data.statistics || !data.coverage) {
-        console.error('❌ Invalid data structure received');
-        return 'failed';
-    }
+function detectEvents(updates) {
+    return updates.flatMap(({ id, previous, values }) => crossed(
+        previous.voterTurnoutPercentage, values.voterTurnoutPercentage, CONFIG.TURNOUT_MILESTONES,
+    ).map(milestone => createEvent(
+        'turnout-milestone',
+        `National turnout passes ${milestone}%`,
+        { record: id, collection: CONFIG.POCKETBASE.COLLECTION, data: { milestone, voterTurnoutPercentage: values.voterTurnoutPercentage } },
+    )));
+}
 
-    const payload = {
+export const run = createSync({
+    title: 'National Statistics Sync',
+    source: CONFIG.SOURCE,
+    schema: {
+        'statistics.goodVotes': 'number',
+        'statistics.totalVotes': 'number',
+        'statistics.invalidVotes': 'number',
+        'statistics.noVotes': 'number',
+        'statistics.eligibleVoters': 'number',
+        'statistics.voterTurnoutPercentage': 'number',
+        'coverage.stationsReported': 'number',
+        'coverage.totalStations': 'number',
+        'coverage.percentage': 'number',
+    },
+    integrity: {
+        item: item => [...checkVoteSum(item.statistics), ...checkCoverage(item.coverage)],
+        notDecreasing: ['totalVotes', 'goodVotes', 'stationsReported'],
+    },
+    items: data => [data],
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    find: findNational,
+    payload: data => ({
         // From statistics
         goodVotes: data.statistics.goodVotes,
         totalVotes: data.statistics.totalVotes,
@@ -57,66 +75,16 @@ async function syncData(pb, data) {
         // From coverage
         stationsReported: data.coverage.stationsReported,
         totalStations: data.coverage.totalStations,
-        percentage: data.coverage.percentage,
-    };
-
-    try {
-        // We assume there's only one "national" record. 
-        // We will try to fetch the first one, if exists update, else create.
-        let existing = null;
-        try {
-            const list = await pb.collection(CONFIG.POCKETBASE.COLLECTION).getList(1, 1);
-            if (list.items.length > 0) {
-                existing = list.items[0];
-            }
-        } catch (err) {
-            // Collection might be empty or 404, proceed to create
-            if (err.status !== 404) console.warn(`   [⚠️ Warning] Could not fetch existing record: ${err.message}`);
-        }
-
-        if (existing) {
-            // Check if update is needed (compare a few key fields or just update)
-            // For realtime stats, it changes often, so updating is likely fine.
-            // But we can check to avoid spamming writes if unchanged.
-            const isChanged =
-                existing.goodVotes !== payload.goodVotes ||
-                existing.stationsReported !== payload.stationsReported ||
-                existing.percentage !== payload.percentage; // 'percentage' here is station coverage percentage
-
-            if (isChanged) {
-                await pb.collection(CONFIG.POCKETBASE.COLLECTION).update(existing.id, payload);
-                console.log(`   [🔁 UPDATED] National Stats (Turnout: ${payload.voterTurnoutPercentage}%)`);
-                return 'updated';
-            } else {
-                console.log(`   [⏭️ NO CHANGE] National Stats`);
-                return 'skipped';
-            }
-        } else {
-            await pb.collection(CONFIG.POCKETBASE.COLLECTION).create(payload);
-            console.log(`   [✅ CREATED] National Stats`);
-            return 'created';
-        }
-    } catch (error) {
-        console.error(`   [❌ FAIL] Sync National Stats: ${error.message}`);
-        return 'failed';
-    }
-}
-
-async function main() {
-    try {
-        const pb = await authenticate();
-
-        console.log('🚀 Starting National Statistics Sync...');
-
-        const data = await fetchData();
-        const result = await syncData(pb, data);
-
-        console.log('-----------------------------------');
-        console.log(`🏁 Sync Complete. Result: ${result}`);
-
-    } catch (error) {
-        console.error(`\n⛔ FATAL ERROR: ${error.message}`);
-    }
-}
+        percentage: data.coverage.percentage, // station coverage percentage
+    }),
+    compare: ['goodVotes', 'stationsReported', 'percentage'],
+    events: detectEvents,
+    history: {
+        scope: 'national',
+        fields: ['totalVotes', 'goodVotes', 'voterTurnoutPercentage', 'stationsReported', 'percentage'],
+    },
+    label: () => 'National Stats',
+    describe: (existing, payload) => `Turnout: ${payload.voterTurnoutPercentage}%`,
+});
 
-main();
+if (isMainModule(import.meta.url)) runMain(run);
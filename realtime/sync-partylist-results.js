@@ -0,0 +1,65 @@
+import 'dotenv/config';
+import { createSync } from '../lib/sync.js';
+import { loadPartylistByParty, syncListFlag } from '../lib/partylist.js';
+import { isMainModule, runMain } from '../lib/cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    SOURCE: {
+        URL: process.env.SOURCE_PARTYLIST_RESULTS_URL,
+        TOKEN: process.env.SOURCE_TOKEN,
+        // Structure is { data: { parties: [{ party: {...}, totalVotes, percentage, partyListSeats }] } }
+        // The seats are stored as partyListResultSeats: partyListSeats belongs to sync-national-parties.js
+        KEY: 'parties',
+    },
+    POCKETBASE: {
+        COLLECTION: 'parties',
+    },
+};
+
+// Party-list candidates grouped by party id, reloaded at the start of every run
+let partylistByParty = new Map();
+
+async function loadPartylist(pb) {
+    partylistByParty = await loadPartylistByParty(pb);
+}
+
+/**
+ * Mark which party-list candidates of a party fall inside its allocated seats
+ */
+function syncElected(pb, party, payload) {
+    const records = partylistByParty.get(party.id) || [];
+    return syncListFlag(pb, party, records, payload.partyListResultSeats || 0, 'elected');
+}
+
+export const run = createSync({
+    title: 'Party List Results Sync',
+    source: CONFIG.SOURCE,
+    schema: {
+        'party.code': 'string',
+        'party.name': 'string',
+        totalVotes: 'number',
+        percentage: 'number',
+        partyListSeats: 'number',
+    },
+    integrity: { notDecreasing: ['partyListVotes'] },
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    matchField: 'code',
+    key: item => item.party?.code,
+    legacyField: 'name',
+    legacyKey: item => item.party?.name,
+    payload: item => ({
+        partyListVotes: item.totalVotes,
+        partyListPercentage: item.percentage,
+        partyListResultSeats: item.partyListSeats,
+    }),
+    // Parties come from masterdata, so a missing one is not created here
+    create: false,
+    prepare: loadPartylist,
+    afterItem: syncElected,
+    history: { scope: 'partylist-results', fields: ['partyListVotes', 'partyListPercentage', 'partyListResultSeats'] },
+    label: item => item.party?.name,
+    describe: (existing, payload) => `Votes: ${existing.partyListVotes} -> ${payload.partyListVotes}, Seats: ${payload.partyListResultSeats}`,
+});
+
+if (isMainModule(import.meta.url)) runMain(run);
@@ -1,10 +1,13 @@
 import 'dotenv/config';
-import axios from 'axios';
-import { authenticate } from '../pb.js';
+import { createSync } from '../lib/sync.js';
+import { checkVoteSum, checkCoverage } from '../lib/integrity.js';
+import { createEvent } from '../lib/events.js';
+import { isMainModule, runMain } from '../lib/cli.js';
 
 // --- CONFIGURATION ---
 const CONFIG = {
     SOURCE: {
+        // Response `data` is the list of provinces itself, so there is no KEY
         URL: process.env.SOURCE_PROVINCE_STATISTICS_URL,
         TOKEN: process.env.SOURCE_TOKEN,
     },
@@ -14,31 +17,46 @@ const CONFIG = {
 };
 
 /**
- * Fetch data from the source API
+ * Station coverage reaching 100%. The source reports coverage per province, not per area,
+ * so this is the finest level a "fully counted" event can be raised at.
  */
-async function fetchData() {
-    console.log(`🌐 Fetching data from: ${CONFIG.SOURCE.URL}`);
-    try {
-        const response = await axios.get(CONFIG.SOURCE.URL, {
-            headers: { Authorization: `Bearer ${CONFIG.SOURCE.TOKEN}` }
-        });
-
-        const items = response.data.data || [];
-        console.log(`📦 Found ${items.length} provinces to sync.`);
-        return items;
-    } catch (error) {
-        throw new Error(`Fetch Failed: ${error.message}`);
-    }
+function detectEvents(updates) {
+    return updates
+        .filter(({ previous, values }) => (previous.percentage || 0) < 100 && values.percentage >= 100)
+        .map(({ id, previous, values }) => createEvent(
+            'coverage-complete',
+            `${previous.name}: all ${values.totalStations} stations reported`,
+            { record: id, collection: CONFIG.POCKETBASE.COLLECTION, data: { totalVotes: values.totalVotes } },
+        ));
 }
 
-/**
- * Sync a single item to PocketBase
- */
-async function syncItem(pb, item) {
-    const provinceName = item.provinceName;
-
-    // Fields to update
-    const payload = {
+export const run = createSync({
+    title: 'Realtime Province Statistics Sync',
+    source: CONFIG.SOURCE,
+    schema: {
+        provinceCode: 'string',
+        provinceName: 'string',
+        'statistics.goodVotes': 'number',
+        'statistics.totalVotes': 'number',
+        'statistics.invalidVotes': 'number',
+        'statistics.noVotes': 'number',
+        'statistics.eligibleVoters': 'number',
+        'statistics.voterTurnoutPercentage': 'number',
+        'coverage.stationsReported': 'number',
+        'coverage.totalStations': 'number',
+        'coverage.percentage': 'number',
+    },
+    integrity: {
+        item: item => [...checkVoteSum(item.statistics), ...checkCoverage(item.coverage)],
+        notDecreasing: ['totalVotes', 'goodVotes', 'stationsReported'],
+    },
+    items: data => data || [],
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    matchField: 'code',
+    key: item => item.provinceCode,
+    legacyField: 'name',
+    legacyKey: item => item.provinceName,
+    payload: item => ({
         goodVotes: item.statistics?.goodVotes,
         totalVotes: item.statistics?.totalVotes,
         invalidVotes: item.statistics?.invalidVotes,
@@ -49,68 +67,17 @@ async function syncItem(pb, item) {
         stationsReported: item.coverage?.stationsReported,
         totalStations: item.coverage?.totalStations,
         percentage: item.coverage?.percentage,
-    };
-
-    try {
-        let existing = null;
-        try {
-            // Find province by name
-            existing = await pb.collection(CONFIG.POCKETBASE.COLLECTION).getFirstListItem(`name="${provinceName}"`);
-        } catch (err) {
-            if (err.status !== 404) throw err;
-        }
-
-        if (existing) {
-            // Check if update is needed
-            const isChanged =
-                existing.goodVotes !== payload.goodVotes ||
-                existing.totalVotes !== payload.totalVotes ||
-                existing.stationsReported !== payload.stationsReported ||
-                existing.percentage !== payload.percentage;
-
-            if (isChanged) {
-                await pb.collection(CONFIG.POCKETBASE.COLLECTION).update(existing.id, payload);
-                console.log(`   [🔁 UPDATED] ${provinceName} (Votes: ${existing.totalVotes} -> ${payload.totalVotes})`);
-                return 'updated';
-            } else {
-                console.log(`   [⏭️ NO CHANGE] ${provinceName}`);
-                return 'skipped';
-            }
-        } else {
-            console.log(`   [⚠️ SKIPPED - NOT FOUND] ${provinceName}`);
-            return 'skipped'; // Or 'failed' depending on how strict we want to be. Usually provinces should exist in masterdata.
-        }
-    } catch (error) {
-        console.error(`   [❌ FAIL] ${provinceName}: ${error.message}`);
-        return 'failed';
-    }
-}
-
-async function main() {
-    try {
-        const pb = await authenticate();
-
-        console.log('🚀 Starting Realtime Province Statistics Sync...');
-        let stats = { updated: 0, skipped: 0, failed: 0 };
-
-        const items = await fetchData();
-
-        for (const item of items) {
-            const result = await syncItem(pb, item);
-            if (result === 'updated') stats.updated++;
-            else if (result === 'skipped') stats.skipped++;
-            else stats.failed++;
-        }
-
-        console.log('-----------------------------------');
-        console.log(`🏁 Sync Complete.`);
-        console.log(`🔁 Updated: ${stats.updated}`);
-        console.log(`⏭️ Skipped: ${stats.skipped}`);
-        console.log(`❌ Failed:  ${stats.failed}`);
-
-    } catch (error) {
-        console.error(`\n⛔ FATAL ERROR: ${error.message}`);
-    }
-}
+    }),
+    compare: ['goodVotes', 'totalVotes', 'stationsReported', 'percentage'],
+    // Provinces should always exist in masterdata
+    create: false,
+    events: detectEvents,
+    history: {
+        scope: 'provinces',
+        fields: ['totalVotes', 'goodVotes', 'voterTurnoutPercentage', 'stationsReported', 'percentage'],
+    },
+    label: item => item.provinceName,
+    describe: (existing, payload) => `Votes: ${existing.totalVotes} -> ${payload.totalVotes}`,
+});
 
-main();
+if (isMainModule(import.meta.url)) runMain(run);
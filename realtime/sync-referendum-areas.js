@@ -0,0 +1,69 @@
+import 'dotenv/config';
+import { createSync, createLookup, joinKey } from '../lib/sync.js';
+import { checkVoteSum } from '../lib/integrity.js';
+import { RESULT_SCHEMA, resultFields, checkOptionSum } from '../lib/referendum.js';
+import { isMainModule, runMain } from '../lib/cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    SOURCE: {
+        // One row per constituency area and question:
+        // { provinceCode, electionArea: { areaNumber }, questionNumber, options: [...], goodVotes, ... }
+        URL: process.env.SOURCE_REFERENDUM_AREAS_URL,
+        TOKEN: process.env.SOURCE_TOKEN,
+        KEY: 'results',
+        PER_PAGE: 100
+    },
+    POCKETBASE: {
+        COLLECTION: 'referendum_areas',
+        COLLECTION_QUESTIONS: 'referendum',
+        COLLECTION_PROVINCES: 'provinces',
+        COLLECTION_AREAS: 'areas',
+    },
+};
+
+const getQuestionId = createLookup(CONFIG.POCKETBASE.COLLECTION_QUESTIONS, record => record.number);
+const getProvinceId = createLookup(CONFIG.POCKETBASE.COLLECTION_PROVINCES, record => record.code);
+const getAreaId = createLookup(CONFIG.POCKETBASE.COLLECTION_AREAS, record => joinKey(record.province, record.number));
+
+async function buildPayload(item, pb) {
+    const questionId = await getQuestionId(pb, item.questionNumber);
+    const provinceId = await getProvinceId(pb, item.provinceCode);
+    const areaNumber = item.electionArea.areaNumber;
+    const areaId = provinceId ? await getAreaId(pb, joinKey(provinceId, areaNumber)) : null;
+
+    if (!questionId) console.warn(`   [⚠️ WARNING] Referendum question not found: Q${item.questionNumber}`);
+    if (!areaId) console.warn(`   [⚠️ WARNING] Area not found: ${item.provinceCode} #${areaNumber}`);
+
+    return {
+        question: questionId,
+        questionNumber: item.questionNumber,
+        province: provinceId,
+        area: areaId,
+        ...resultFields(item),
+    };
+}
+
+export const run = createSync({
+    title: 'Referendum by Area Sync',
+    source: CONFIG.SOURCE,
+    schema: {
+        provinceCode: 'string',
+        'electionArea.areaNumber': 'number',
+        ...RESULT_SCHEMA,
+    },
+    integrity: {
+        item: item => [...checkVoteSum(item), ...checkOptionSum(item)],
+        notDecreasing: ['totalVotes'],
+    },
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    matchKey: record => joinKey(record.question, record.area),
+    key: (item, payload) => joinKey(payload.question, payload.area),
+    payload: buildPayload,
+    lookups: [getQuestionId, getProvinceId, getAreaId],
+    history: { scope: 'referendum-areas', fields: ['options', 'leading', 'totalVotes'] },
+    label: item => `Q${item.questionNumber} ${item.provinceCode} #${item.electionArea?.areaNumber}`,
+    describe: (existing, payload) => `Leading: ${payload.leading || '-'}`,
+});
+
+if (isMainModule(import.meta.url)) runMain(run);
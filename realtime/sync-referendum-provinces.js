@@ -0,0 +1,62 @@
+import 'dotenv/config';
+import { createSync, createLookup, joinKey } from '../lib/sync.js';
+import { checkVoteSum } from '../lib/integrity.js';
+import { RESULT_SCHEMA, resultFields, checkOptionSum } from '../lib/referendum.js';
+import { isMainModule, runMain } from '../lib/cli.js';
+
+// --- CONFIGURATION ---
+const CONFIG = {
+    SOURCE: {
+        // One row per province and question:
+        // { provinceCode, provinceName, questionNumber, options: [...], goodVotes, totalVotes, invalidVotes, noVotes }
+        URL: process.env.SOURCE_REFERENDUM_PROVINCES_URL,
+        TOKEN: process.env.SOURCE_TOKEN,
+        KEY: 'results',
+    },
+    POCKETBASE: {
+        COLLECTION: 'referendum_provinces',
+        COLLECTION_QUESTIONS: 'referendum',
+        COLLECTION_PROVINCES: 'provinces',
+    },
+};
+
+const getQuestionId = createLookup(CONFIG.POCKETBASE.COLLECTION_QUESTIONS, record => record.number);
+const getProvinceId = createLookup(CONFIG.POCKETBASE.COLLECTION_PROVINCES, record => record.code);
+
+async function buildPayload(item, pb) {
+    const questionId = await getQuestionId(pb, item.questionNumber);
+    const provinceId = await getProvinceId(pb, item.provinceCode);
+
+    if (!questionId) console.warn(`   [⚠️ WARNING] Referendum question not found: Q${item.questionNumber}`);
+    if (!provinceId) console.warn(`   [⚠️ WARNING] Province not found: ${item.provinceName} (${item.provinceCode})`);
+
+    return {
+        question: questionId,
+        questionNumber: item.questionNumber,
+        province: provinceId,
+        ...resultFields(item),
+    };
+}
+
+export const run = createSync({
+    title: 'Referendum by Province Sync',
+    source: CONFIG.SOURCE,
+    schema: {
+        provinceCode: 'string',
+        ...RESULT_SCHEMA,
+    },
+    integrity: {
+        item: item => [...checkVoteSum(item), ...checkOptionSum(item)],
+        notDecreasing: ['totalVotes'],
+    },
+    collection: CONFIG.POCKETBASE.COLLECTION,
+    matchKey: record => joinKey(record.question, record.province),
+    key: (item, payload) => joinKey(payload.question, payload.province),
+    payload: buildPayload,
+    lookups: [getQuestionId, getProvinceId],
+    history: { scope: 'referendum-provinces', fields: ['options', 'leading', 'totalVotes'] },
+    label: item => `Q${item.questionNumber} ${item.provinceName || item.provinceCode}`,
+    describe: (existing, payload) => `Leading: ${payload.leading || '-'}`,
+});
+
+if (isMainModule(import.meta.url)) runMain(run);
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFakePocketBase } from './fake-pocketbase.js';
+import { createMockServer } from '../../mock/server.js';
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+/**
+ * Silence the runner's progress logging unless TEST_VERBOSE=1
+ */
+function muteConsole() {
+    if (process.env.TEST_VERBOSE === '1') return;
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+}
+
+/**
+ * Start a fake PocketBase and the mock source API, and point the runner's
+ * environment variables at them. Must run before the sync modules are imported,
+ * since they read their configuration at import time.
+ * @param {Object} [options]
+ * @param {number} [options.progress=0] - Initial share of the count reported (0..1)
+ * @param {Object} [options.mock] - Extra createMockServer() options
+ */
+export async function startEnvironment(options = {}) {
+    let progress = options.progress ?? 0;
+    muteConsole();
+
+    const pocketbase = createFakePocketBase();
+    const source = createMockServer({
+        progress: () => progress,
+        token: 'test-token',
+        errorRate: 0,
+        throttleRate: 0,
+        slowRate: 0,
+        drift: false,
+        election: { provinces: 3, areas: 6, parties: 4, partyListSize: 5 },
+        ...options.mock,
+    });
+
+    const quarantineDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-'));
+    const webhookQueueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-queue-'));
+    const pbUrl = await listen(pocketbase.server);
+    const sourceUrl = await listen(source);
+
+    Object.assign(process.env, {
+        PB_BASE_URL: pbUrl,
+        PB_EMAIL: 'runner@example.com',
+        PB_PASSWORD: 'secret',
+        SOURCE_TOKEN: 'test-token',
+        RETRY_BASE_DELAY_MS: '1',
+        SCHEMA_QUARANTINE_DIR: quarantineDir,
+        WEBHOOK_QUEUE_DIR: webhookQueueDir,
+        SOURCE_PROVINCES_URL: `${sourceUrl}/provinces`,
+        SOURCE_PARTIES_URL: `${sourceUrl}/parties`,
+        SOURCE_AREAS_URL: `${sourceUrl}/areas`,
+        SOURCE_CANDIDATES_STATIC_URL: `${sourceUrl}/candidates`,
+        SOURCE_PARTYLIST_URL: `${sourceUrl}/partylist`,
+        SOURCE_REFERENDUM_URL: `${sourceUrl}/referendum`,
+        SOURCE_REFERENDUM_PROVINCES_URL: `${sourceUrl}/referendum-provinces`,
+        SOURCE_REFERENDUM_AREAS_URL: `${sourceUrl}/referendum-areas`,
+        SOURCE_SCORE_URL: `${sourceUrl}/score`,
+        SOURCE_PROVINCE_STATISTICS_URL: `${sourceUrl}/province-statistics`,
+        SOURCE_NATIONAL_STATISTICS_URL: `${sourceUrl}/national-statistics`,
+        SOURCE_NATIONAL_SUMMARY_REALTIME_URL: `${sourceUrl}/national-summary`,
+        SOURCE_PARTYLIST_RESULTS_URL: `${sourceUrl}/partylist-results`,
+    });
+
+    return {
+        pocketbase,
+        source,
+        election: source.election,
+        quarantineDir,
+        webhookQueueDir,
+        setProgress(value) {
+            progress = value;
+        },
+        stop() {
+            for (const server of [pocketbase.server, source]) {
+                server.closeAllConnections();
+                server.close();
+            }
+            for (const dir of [quarantineDir, webhookQueueDir]) {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        },
+    };
+}
@@ -0,0 +1,93 @@
+import http from 'http';
+import crypto from 'crypto';
+
+/**
+ * Minimal in-memory stand-in for the PocketBase records API, enough for the runner:
+ * password auth, list (paged), view, create and update. Filters and sorting are not supported.
+ */
+export function createFakePocketBase() {
+    const collections = new Map(); // name -> Map(id -> record)
+    const requests = [];
+
+    function collection(name) {
+        if (!collections.has(name)) collections.set(name, new Map());
+        return collections.get(name);
+    }
+
+    function token() {
+        const payload = Buffer.from(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 3600, type: 'auth' })).toString('base64url');
+        return `header.${payload}.signature`;
+    }
+
+    function send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const body = raw ? JSON.parse(raw) : {};
+            requests.push({ method: req.method, path: url.pathname, body });
+
+            const auth = url.pathname.match(/^\/api\/collections\/([^/]+)\/auth-with-password$/);
+            if (auth && req.method === 'POST') {
+                return send(res, 200, { token: token(), record: { id: 'tester', collectionName: auth[1] } });
+            }
+
+            const match = url.pathname.match(/^\/api\/collections\/([^/]+)\/records(?:\/([^/]+))?$/);
+            if (!match) return send(res, 404, { message: 'Not Found' });
+
+            const records = collection(match[1]);
+            const id = match[2];
+
+            if (req.method === 'GET' && !id) {
+                const page = Number(url.searchParams.get('page') || 1);
+                const perPage = Number(url.searchParams.get('perPage') || 30);
+                const all = [...records.values()];
+                return send(res, 200, {
+                    page, perPage,
+                    totalItems: all.length,
+                    totalPages: Math.ceil(all.length / perPage),
+                    items: all.slice((page - 1) * perPage, page * perPage),
+                });
+            }
+            if (req.method === 'GET') {
+                return records.has(id) ? send(res, 200, records.get(id)) : send(res, 404, { message: 'Not Found' });
+            }
+            if (req.method === 'POST' && !id) {
+                const now = new Date().toISOString();
+                const record = { ...body, id: crypto.randomBytes(8).toString('hex').slice(0, 15), collectionName: match[1], created: now, updated: now };
+                records.set(record.id, record);
+                return send(res, 200, record);
+            }
+            if (req.method === 'PATCH' && id) {
+                if (!records.has(id)) return send(res, 404, { message: 'Not Found' });
+                const record = { ...records.get(id), ...body, updated: new Date().toISOString() };
+                records.set(id, record);
+                return send(res, 200, record);
+            }
+            return send(res, 405, { message: 'Method Not Allowed' });
+        });
+    });
+
+    return {
+        server,
+        requests,
+        /** All records of a collection */
+        list: name => [...collection(name).values()],
+        /** Insert records directly, bypassing the API */
+        seed(name, items) {
+            for (const item of items) {
+                const id = item.id || crypto.randomBytes(8).toString('hex').slice(0, 15);
+                collection(name).set(id, { ...item, id });
+            }
+        },
+        /** Overwrite fields of a stored record */
+        patch(name, id, fields) {
+            Object.assign(collection(name).get(id), fields);
+        },
+    };
+}
@@ -0,0 +1,168 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startEnvironment } from './helpers/environment.js';
+
+let env;
+let sync;
+
+before(async () => {
+    env = await startEnvironment();
+    sync = {
+        provinces: (await import('../masterdata/sync-provinces.js')).run,
+        parties: (await import('../masterdata/sync-parties.js')).run,
+        areas: (await import('../masterdata/sync-areas.js')).run,
+        candidates: (await import('../masterdata/sync-candidates.js')).run,
+        partylist: (await import('../masterdata/sync-partylist.js')).run,
+        referendum: (await import('../masterdata/sync-referendum.js')).run,
+    };
+});
+
+after(() => env.stop());
+
+test('provinces are created once and skipped afterwards', async () => {
+    const first = await sync.provinces();
+    assert.equal(first.created, env.election.provinces.length);
+
+    const second = await sync.provinces();
+    assert.deepEqual(second, { created: 0, updated: 0, skipped: env.election.provinces.length, failed: 0 });
+});
+
+test('parties are updated only when a compared field changed', async () => {
+    await sync.parties();
+    const party = env.pocketbase.list('parties')[0];
+    env.pocketbase.patch('parties', party.id, { color: '#123456' });
+
+    const stats = await sync.parties();
+    assert.equal(stats.updated, 1);
+    assert.equal(stats.skipped, env.election.parties.length - 1);
+    assert.notEqual(env.pocketbase.list('parties').find(p => p.id === party.id).color, '#123456');
+});
+
+test('areas resolve their province relation by province code', async () => {
+    await sync.areas();
+    const provinces = new Map(env.pocketbase.list('provinces').map(p => [p.id, p.code]));
+    const areas = env.pocketbase.list('areas');
+
+    assert.equal(areas.length, env.election.areas.length);
+    for (const area of areas) {
+        const source = env.election.areas.find(a => a.name === area.name);
+        assert.equal(provinces.get(area.province), source.province.code);
+    }
+});
+
+test('areas whose province does not resolve fail instead of being created again', async () => {
+    const { id, code } = env.pocketbase.list('provinces')[0];
+    const inProvince = env.election.areas.filter(a => a.province.code === code).length;
+    env.pocketbase.patch('provinces', id, { code: 'renamed' });
+
+    try {
+        const stats = await sync.areas();
+        assert.equal(stats.created, 0);
+        assert.equal(stats.failed, inProvince);
+        assert.equal(env.pocketbase.list('areas').length, env.election.areas.length);
+    } finally {
+        env.pocketbase.patch('provinces', id, { code });
+    }
+});
+
+test('candidates resolve party, province and area relations', async () => {
+    const stats = await sync.candidates();
+    assert.equal(stats.created, env.election.candidates.length);
+    assert.equal(stats.failed, 0);
+
+    const parties = new Map(env.pocketbase.list('parties').map(p => [p.id, p.code]));
+    const provinces = new Map(env.pocketbase.list('provinces').map(p => [p.id, p.code]));
+    const areas = new Map(env.pocketbase.list('areas').map(a => [a.id, a]));
+
+    for (const candidate of env.pocketbase.list('candidates')) {
+        const source = env.election.candidates.find(c => c.id === candidate.sourceId);
+        assert.equal(parties.get(candidate.party), source.party.code);
+        assert.equal(provinces.get(candidate.province), source.area.province.code);
+        assert.equal(areas.get(candidate.area).number, source.area.number);
+        assert.equal(areas.get(candidate.area).province, candidate.province);
+    }
+});
+
+test('records created before stable keys are matched by name and get their key backfilled', async () => {
+    const { id, sourceId } = env.pocketbase.list('candidates')[0];
+    env.pocketbase.patch('candidates', id, { sourceId: '' });
+
+    const stats = await sync.candidates();
+    assert.equal(stats.created, 0);
+    assert.equal(stats.updated, 1);
+    assert.equal(env.pocketbase.list('candidates').find(c => c.id === id).sourceId, sourceId);
+});
+
+test('a legacy key shared by several records is not adopted', async () => {
+    const [{ id, sourceId, ...fields }] = env.pocketbase.list('candidates');
+    env.pocketbase.patch('candidates', id, { sourceId: '' });
+    env.pocketbase.seed('candidates', [{ ...fields, sourceId: '' }]);
+    const copy = env.pocketbase.list('candidates').at(-1);
+
+    const stats = await sync.candidates();
+    assert.equal(stats.created, 0);
+    assert.equal(stats.failed, 1);
+    assert.equal(env.pocketbase.list('candidates').find(c => c.id === id).sourceId, '');
+
+    // Once the duplicate is told apart, the original is adopted again
+    env.pocketbase.patch('candidates', copy.id, { sourceId: 'duplicate' });
+    const again = await sync.candidates();
+    assert.equal(again.failed, 0);
+    assert.equal(env.pocketbase.list('candidates').find(c => c.id === id).sourceId, sourceId);
+});
+
+test('party lists are keyed by party and list number', async () => {
+    const first = await sync.partylist();
+    assert.equal(first.created, env.election.partyList.length);
+
+    const second = await sync.partylist();
+    assert.equal(second.created, 0);
+    assert.equal(second.skipped, env.election.partyList.length);
+});
+
+test('referendum questions store every option with totals and ranks', async () => {
+    env.setProgress(1);
+    await sync.referendum();
+
+    const records = env.pocketbase.list('referendum');
+    assert.equal(records.length, env.election.questions.length);
+    for (const record of records) {
+        assert.deepEqual(record.options.map(o => o.code), ['agree', 'disagree']);
+        assert.equal(record.options.reduce((sum, o) => sum + o.totalVotes, 0), record.goodVotes);
+        assert.deepEqual(record.options.map(o => o.rank).sort(), [1, 2]);
+        assert.equal(record.leading, record.options.find(o => o.rank === 1).code);
+        // Older readers still use the agree* / disagree* fields
+        assert.equal(record.agreeTotalVotes, record.options.find(o => o.code === 'agree').totalVotes);
+        assert.equal(record.disagreeRank, record.options.find(o => o.code === 'disagree').rank);
+    }
+});
+
+test('renamed referendum options are stored as sent instead of as zeros', async () => {
+    // Drift renames the option codes to yes/no
+    env.source.options.drift = true;
+    try {
+        const stats = await sync.referendum();
+        assert.equal(stats.updated, env.election.questions.length);
+    } finally {
+        env.source.options.drift = false;
+    }
+
+    for (const record of env.pocketbase.list('referendum')) {
+        assert.deepEqual(record.options.map(o => o.code), ['yes', 'no']);
+        assert.ok(record.options.every(o => o.totalVotes > 0));
+    }
+});
+
+test('a referendum question changing leading option raises a flip event', async () => {
+    await sync.referendum();
+    const [question] = env.pocketbase.list('referendum').map(record => ({ ...record }));
+    const other = question.options.find(o => o.code !== question.leading);
+    env.pocketbase.patch('referendum', question.id, { leading: other.code, totalVotes: 0 });
+
+    const before = env.pocketbase.list('events').length;
+    await sync.referendum();
+    const events = env.pocketbase.list('events').slice(before);
+    assert.deepEqual(events.map(e => [e.type, e.record, e.data]), [
+        ['referendum-flip', question.id, { from: other.code, to: question.leading }],
+    ]);
+});
@@ -0,0 +1,323 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startEnvironment } from './helpers/environment.js';
+
+let env;
+let sync;
+
+before(async () => {
+    env = await startEnvironment({ progress: 0 });
+    sync = {
+        score: (await import('../realtime/sync-score.js')).run,
+        provinces: (await import('../realtime/sync-provinces.js')).run,
+        nationalParties: (await import('../realtime/sync-national-parties.js')).run,
+        nationalStatistics: (await import('../realtime/sync-national-statistics.js')).run,
+        partylistResults: (await import('../realtime/sync-partylist-results.js')).run,
+        areaResults: (await import('../realtime/derive-area-results.js')).run,
+        partySeats: (await import('../realtime/derive-party-seats.js')).run,
+        partylistSeats: (await import('../realtime/derive-partylist-seats.js')).run,
+        provinceParties: (await import('../realtime/derive-province-parties.js')).run,
+        regions: (await import('../realtime/derive-regions.js')).run,
+        referendumProvinces: (await import('../realtime/sync-referendum-provinces.js')).run,
+        referendumAreas: (await import('../realtime/sync-referendum-areas.js')).run,
+    };
+});
+
+after(() => env.stop());
+
+test('score sync skips candidates that are not in masterdata yet', async () => {
+    const stats = await sync.score();
+    assert.equal(stats.created, 0);
+    assert.equal(stats.skipped, env.election.candidates.length);
+    assert.equal(env.pocketbase.list('candidates').length, 0);
+});
+
+test('score sync updates only candidates whose score changed', async () => {
+    const { run: syncCandidates } = await import('../masterdata/sync-candidates.js');
+    await (await import('../masterdata/sync-provinces.js')).run();
+    await (await import('../masterdata/sync-parties.js')).run();
+    await (await import('../masterdata/sync-areas.js')).run();
+    await syncCandidates();
+
+    env.setProgress(0.8);
+    const first = await sync.score();
+    assert.equal(first.failed, 0);
+    assert.ok(first.updated > 0);
+
+    const second = await sync.score();
+    assert.equal(second.updated, 0);
+
+    for (const candidate of env.pocketbase.list('candidates')) {
+        const source = env.election.candidates.find(c => c.id === candidate.sourceId);
+        assert.equal(typeof candidate.totalVotes, 'number', source.name);
+    }
+});
+
+test('score changes are appended to the history collection', async () => {
+    const snapshots = env.pocketbase.list('history').filter(h => h.scope === 'candidates');
+    assert.equal(snapshots.length, 1);
+    assert.deepEqual(snapshots[0].fields, ['totalVotes', 'rank', 'percentage']);
+    assert.ok(Object.keys(snapshots[0].entries).length > 0);
+});
+
+test('province statistics update existing provinces by code', async () => {
+    const stats = await sync.provinces();
+    assert.equal(stats.updated, env.election.provinces.length);
+
+    for (const province of env.pocketbase.list('provinces')) {
+        assert.ok(province.stationsReported <= province.totalStations);
+        assert.equal(province.goodVotes + province.invalidVotes + province.noVotes, province.totalVotes);
+    }
+});
+
+test('a renamed statistics field aborts the province sync before writing', async () => {
+    const before = env.pocketbase.list('provinces').map(record => ({ ...record }));
+
+    // Drift renames statistics.goodVotes -> statistics.validVotes
+    env.source.options.drift = true;
+    try {
+        await assert.rejects(sync.provinces(), /Schema validation failed/);
+    } finally {
+        env.source.options.drift = false;
+    }
+
+    assert.deepEqual(env.pocketbase.list('provinces'), before);
+});
+
+test('national statistics keep a single record', async () => {
+    await sync.nationalStatistics();
+    env.setProgress(1);
+    const stats = await sync.nationalStatistics();
+
+    assert.equal(stats.updated, 1);
+    const records = env.pocketbase.list('national');
+    assert.equal(records.length, 1);
+    assert.equal(records[0].percentage, 100);
+});
+
+test('national party totals are written onto parties', async () => {
+    const stats = await sync.nationalParties();
+    assert.equal(stats.created, 0);
+
+    const totalSeats = env.pocketbase.list('parties').reduce((sum, p) => sum + p.totalSeats, 0);
+    assert.equal(totalSeats, env.election.areas.length + 100);
+});
+
+test('party-list results mark the candidates inside each party\'s seats', async () => {
+    await (await import('../masterdata/sync-partylist.js')).run();
+    await sync.partylistResults();
+
+    const parties = env.pocketbase.list('parties');
+    for (const entry of env.pocketbase.list('partylist')) {
+        const party = parties.find(p => p.id === entry.party);
+        assert.equal(entry.elected, entry.number <= party.partyListResultSeats, `${entry.name}`);
+    }
+
+    // The national party sync writes partyListSeats, never the party-list result seats
+    await sync.nationalParties();
+    const again = await sync.partylistResults();
+    assert.equal(again.updated, 0);
+});
+
+test('vote counts going down are not written in block mode', async () => {
+    env.setProgress(0.5);
+    process.env.INTEGRITY_MODE = 'block';
+    try {
+        const stats = await sync.nationalStatistics();
+        assert.equal(stats.blocked, 1);
+        assert.equal(stats.updated, 0);
+    } finally {
+        delete process.env.INTEGRITY_MODE;
+        env.setProgress(1);
+    }
+    assert.equal(env.pocketbase.list('national')[0].percentage, 100);
+});
+
+test('area results name the leader and are won once the province is fully counted', async () => {
+    await sync.score();
+    await sync.provinces();
+    const stats = await sync.areaResults();
+    assert.equal(stats.updated, env.election.areas.length);
+
+    const candidates = env.pocketbase.list('candidates');
+    for (const area of env.pocketbase.list('areas')) {
+        const ranked = candidates.filter(c => c.area === area.id).sort((a, b) => b.totalVotes - a.totalVotes);
+        assert.equal(area.leader, ranked[0].id, area.name);
+        assert.equal(area.runnerUp, ranked[1].id, area.name);
+        assert.equal(area.margin, ranked[0].totalVotes - ranked[1].totalVotes);
+        assert.equal(area.countedVotes, ranked.reduce((sum, c) => sum + c.totalVotes, 0));
+        assert.equal(area.status, 'won');
+    }
+
+    const again = await sync.areaResults();
+    assert.equal(again.updated, 0);
+});
+
+test('projected constituency seats match the official count once every area is won', async () => {
+    await sync.nationalParties();
+    await sync.partySeats();
+
+    const parties = env.pocketbase.list('parties');
+    for (const party of parties) {
+        assert.equal(party.projectedConstituencySeats, party.constituencySeats, party.name);
+        assert.equal(party.projectedConstituencyWon, party.projectedConstituencySeats);
+    }
+    assert.equal(parties.reduce((sum, p) => sum + p.projectedConstituencySeats, 0), env.election.areas.length);
+});
+
+test('projected party-list seats are capped by list size and mark the list candidates', async () => {
+    await sync.partylistResults();
+    await sync.partylistSeats();
+
+    const parties = env.pocketbase.list('parties');
+    const partylist = env.pocketbase.list('partylist');
+    // 100 seats but only 5 candidates per list in the test election
+    assert.equal(parties.reduce((sum, p) => sum + p.projectedPartyListSeats, 0), partylist.length);
+    for (const entry of partylist) {
+        const party = parties.find(p => p.id === entry.party);
+        assert.equal(entry.projectedElected, entry.number <= party.projectedPartyListSeats, entry.name);
+    }
+});
+
+test('province party breakdown sums votes and areas led per province', async () => {
+    const first = await sync.provinceParties();
+    assert.ok(first.created > 0);
+
+    const rows = env.pocketbase.list('province_parties');
+    const candidates = env.pocketbase.list('candidates');
+    const areas = env.pocketbase.list('areas');
+    for (const row of rows) {
+        const votes = candidates
+            .filter(c => c.province === row.province && c.party === row.party)
+            .reduce((sum, c) => sum + c.totalVotes, 0);
+        assert.equal(row.totalVotes, votes);
+        assert.equal(row.areasLed, areas.filter(a => a.province === row.province && a.leaderParty === row.party).length);
+    }
+    for (const province of env.pocketbase.list('provinces')) {
+        assert.equal(rows.filter(row => row.province === province.id && row.isTop).length, 1, province.name);
+    }
+
+    const second = await sync.provinceParties();
+    assert.equal(second.created + second.updated, 0);
+});
+
+const votesOf = (row, code) => row.options.find(o => o.code === code).totalVotes;
+
+test('referendum rows whose question does not resolve are not created', async () => {
+    env.pocketbase.seed('referendum', [{ number: 1, title: 'Referendum question 1' }]);
+
+    const first = await sync.referendumProvinces();
+    const second = await sync.referendumProvinces();
+
+    const rows = env.pocketbase.list('referendum_provinces');
+    assert.equal(rows.length, env.election.provinces.length);
+    assert.equal(second.created, 0);
+    assert.equal(second.failed, first.failed);
+    assert.equal(second.failed, (env.election.questions.length - 1) * env.election.provinces.length);
+});
+
+test('referendum results are stored per province and area with their relations', async () => {
+    await (await import('../masterdata/sync-referendum.js')).run();
+    await sync.referendumProvinces();
+    await sync.referendumAreas();
+
+    const questions = env.pocketbase.list('referendum');
+    const byProvince = env.pocketbase.list('referendum_provinces');
+    const byArea = env.pocketbase.list('referendum_areas');
+    assert.equal(byProvince.length, questions.length * env.election.provinces.length);
+    assert.equal(byArea.length, questions.length * env.election.areas.length);
+
+    for (const question of questions) {
+        const provinces = byProvince.filter(row => row.question === question.id);
+        assert.equal(provinces.reduce((sum, row) => sum + votesOf(row, 'agree'), 0), votesOf(question, 'agree'));
+        for (const row of provinces) {
+            const areas = byArea.filter(area => area.question === question.id && area.province === row.province);
+            assert.equal(areas.reduce((sum, area) => sum + votesOf(area, 'disagree'), 0), votesOf(row, 'disagree'));
+            assert.equal(row.leading, votesOf(row, 'agree') > votesOf(row, 'disagree') ? 'agree' : 'disagree');
+        }
+    }
+
+    const again = await sync.referendumAreas();
+    assert.equal(again.created + again.updated, 0);
+});
+
+test('regions roll up province statistics, seats led and referendum results', async () => {
+    const provinces = env.pocketbase.list('provinces');
+    const referendumRows = env.pocketbase.list('referendum_provinces');
+
+    await sync.regions();
+    const regions = env.pocketbase.list('regions');
+    assert.equal(regions.length, new Set(env.election.provinces.map(p => p.region)).size);
+
+    for (const region of regions) {
+        const members = provinces.filter(p => p.region === region.name);
+        assert.equal(region.totalVotes, members.reduce((sum, p) => sum + p.totalVotes, 0));
+        assert.equal(region.provinces, members.length);
+        assert.equal(Object.values(region.seatsLed).reduce((sum, n) => sum + n, 0), region.areas);
+
+        const ids = members.map(p => p.id);
+        for (const result of region.referendum) {
+            const rows = referendumRows.filter(row => row.question === result.question && ids.includes(row.province));
+            assert.equal(votesOf(result, 'agree'), rows.reduce((sum, row) => sum + votesOf(row, 'agree'), 0));
+        }
+        assert.equal(region.referendum.length, env.election.questions.length);
+    }
+
+    const again = await sync.regions();
+    assert.equal(again.created + again.updated, 0);
+});
+
+test('a first leader coming from unranked is not a lead change', async () => {
+    const candidate = env.pocketbase.list('candidates').find(c => c.rank === 1);
+    env.pocketbase.patch('candidates', candidate.id, { totalVotes: 0, rank: 0 });
+    const before = env.pocketbase.list('events').length;
+
+    const stats = await sync.score();
+    assert.equal(stats.updated, 1);
+    assert.equal(env.pocketbase.list('candidates').find(c => c.id === candidate.id).tookLead, false);
+    assert.equal(env.pocketbase.list('events').slice(before).filter(e => e.type === 'area-leader').length, 0);
+});
+
+test('score updates store votes gained, rank change and lead changes', async () => {
+    const candidate = env.pocketbase.list('candidates').find(c => c.rank === 1);
+    const { totalVotes } = candidate;
+    env.pocketbase.patch('candidates', candidate.id, { totalVotes: totalVotes - 10, rank: 2 });
+
+    const stats = await sync.score();
+    assert.equal(stats.updated, 1);
+    const updated = env.pocketbase.list('candidates').find(c => c.id === candidate.id);
+    assert.equal(updated.votesGained, 10);
+    assert.equal(updated.previousRank, 2);
+    assert.equal(updated.rankChange, 1);
+    assert.equal(updated.tookLead, true);
+    assert.ok(updated.lastChangedAt);
+
+    const area = env.pocketbase.list('areas').find(a => a.leader === candidate.id);
+    env.pocketbase.patch('areas', area.id, { leader: area.runnerUp });
+    await sync.areaResults();
+    const changed = env.pocketbase.list('areas').find(a => a.id === area.id);
+    assert.equal(changed.leader, candidate.id);
+    assert.equal(changed.previousLeader, area.runnerUp);
+    assert.ok(changed.leaderChangedAt);
+});
+
+test('notable changes are written to the events collection', async () => {
+    // The lead change in the previous test raised an area-leader event
+    assert.ok(env.pocketbase.list('events').some(e => e.type === 'area-leader'));
+
+    const [national] = env.pocketbase.list('national');
+    env.pocketbase.patch('national', national.id, { voterTurnoutPercentage: 0, goodVotes: 0 });
+    const [province] = env.pocketbase.list('provinces');
+    env.pocketbase.patch('provinces', province.id, { percentage: 50, goodVotes: 0 });
+
+    const before = env.pocketbase.list('events').length;
+    const stats = await sync.nationalStatistics();
+    assert.ok(stats.events >= 3);
+    await sync.provinces();
+
+    const events = env.pocketbase.list('events').slice(before);
+    const turnout = events.filter(e => e.type === 'turnout-milestone').map(e => e.data.milestone);
+    assert.deepEqual(turnout.slice(0, 3), [25, 50, 60]);
+    const coverage = events.filter(e => e.type === 'coverage-complete');
+    assert.deepEqual(coverage.map(e => e.record), [province.id]);
+});
@@ -0,0 +1,479 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import os from 'os';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { startEnvironment } from './helpers/environment.js';
+
+let env;
+let engine;
+let retry;
+let schema;
+let integrity;
+let allocation;
+let referendum;
+let webhooks;
+let tally;
+
+// Webhook receiver: records every delivery, answers 503 while `failing`, 400 while `rejecting`
+// and nothing at all while `hanging`
+const hook = { requests: [], failing: false, rejecting: false, hanging: false };
+hook.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        if (hook.hanging) return;
+        if (hook.failing) {
+            res.writeHead(503);
+            return res.end();
+        }
+        if (hook.rejecting) {
+            res.writeHead(400);
+            return res.end();
+        }
+        hook.requests.push({ headers: req.headers, body });
+        res.writeHead(204);
+        res.end();
+    });
+});
+
+before(async () => {
+    env = await startEnvironment();
+    await new Promise(resolve => hook.server.listen(0, '127.0.0.1', resolve));
+    process.env.WEBHOOK_URLS = `http://127.0.0.1:${hook.server.address().port}/hook`;
+    process.env.WEBHOOK_SECRET = 'hook-secret';
+    process.env.WEBHOOK_TIMEOUT_MS = '200';
+    engine = await import('../lib/sync.js');
+    retry = await import('../lib/retry.js');
+    schema = await import('../lib/schema.js');
+    integrity = await import('../lib/integrity.js');
+    allocation = await import('../lib/partylist-allocation.js');
+    referendum = await import('../lib/referendum.js');
+    webhooks = await import('../lib/webhooks.js');
+    tally = await import('../lib/tally.js');
+});
+
+after(() => {
+    env.stop();
+    hook.server.closeAllConnections();
+    hook.server.close();
+});
+
+/**
+ * Serve `pages` (arrays of items) as a paginated source; `totalPages` is reported only when asked.
+ * The first `failFirst` requests are answered with 503.
+ */
+async function pagedSource(pages, { reportTotal, failFirst = 0 }) {
+    const requested = [];
+    let failures = 0;
+    const server = http.createServer((req, res) => {
+        if (failures < failFirst) {
+            failures++;
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ message: 'Service Unavailable' }));
+        }
+        const page = Number(new URL(req.url, 'http://localhost').searchParams.get('page'));
+        requested.push(page);
+        const data = { items: pages[page - 1] || [], pagination: reportTotal ? { totalPages: pages.length } : {} };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        source: { URL: `http://127.0.0.1:${server.address().port}/items`, KEY: 'items', PER_PAGE: 2 },
+        requested,
+        close: () => {
+            server.closeAllConnections();
+            server.close();
+        },
+    };
+}
+
+test('pagination stops at pagination.totalPages', async () => {
+    const paged = await pagedSource([[1, 2], [3, 4], [5]], { reportTotal: true });
+    try {
+        assert.deepEqual(await engine.fetchAllPages(paged.source), [1, 2, 3, 4, 5]);
+        assert.deepEqual(paged.requested.sort(), [1, 2, 3]);
+    } finally {
+        paged.close();
+    }
+});
+
+test('pagination without totalPages stops at the first empty page', async () => {
+    const paged = await pagedSource([[1, 2], [3]], { reportTotal: false });
+    try {
+        assert.deepEqual(await engine.fetchAllPages(paged.source), [1, 2, 3]);
+        assert.deepEqual(paged.requested, [1, 2, 3]);
+    } finally {
+        paged.close();
+    }
+});
+
+test('an empty first page yields no items', async () => {
+    const paged = await pagedSource([], { reportTotal: true });
+    try {
+        assert.deepEqual(await engine.fetchAllPages(paged.source), []);
+        assert.deepEqual(paged.requested, [1]);
+    } finally {
+        paged.close();
+    }
+});
+
+test('transient source errors are retried', async () => {
+    const paged = await pagedSource([[1, 2], [3]], { reportTotal: true, failFirst: 2 });
+    try {
+        assert.deepEqual(await engine.fetchAllPages(paged.source), [1, 2, 3]);
+        assert.deepEqual(paged.requested, [1, 2]);
+    } finally {
+        paged.close();
+    }
+});
+
+test('validation errors are permanent, throttling and server errors are not', () => {
+    assert.equal(retry.isRetryable({ status: 400 }), false);
+    assert.equal(retry.isRetryable({ status: 404 }), false);
+    assert.equal(retry.isRetryable({ status: 429 }), true);
+    assert.equal(retry.isRetryable({ status: 503 }), true);
+    assert.equal(retry.isRetryable({ status: 0 }), true);
+    assert.equal(retry.retryAfterMs({ response: { headers: { 'retry-after': '2' } } }), 2000);
+});
+
+test('creates are retried only when they were refused, never after a timeout or server error', async () => {
+    assert.equal(retry.isRetryableWrite({ status: 429 }), true);
+    assert.equal(retry.isRetryableWrite({ status: 503 }), false);
+    assert.equal(retry.isRetryableWrite({ status: 0 }), false);
+
+    let calls = 0;
+    const failing = () => {
+        calls++;
+        return Promise.reject(Object.assign(new Error('Service Unavailable'), { status: 503 }));
+    };
+    await assert.rejects(retry.withRetry(failing, { retryIf: retry.isRetryableWrite }));
+    assert.equal(calls, 1);
+});
+
+test('a blocked update does not run afterItem', async () => {
+    let votes = 10;
+    const touched = [];
+    const run = engine.createDerive({
+        title: 'Blocked After Item Test',
+        items: () => [{ code: 'x', votes }],
+        collection: 'blocked_after_item',
+        matchField: 'code',
+        key: item => item.code,
+        payload: item => item,
+        integrity: { notDecreasing: ['votes'] },
+        afterItem: (pb, record, payload) => touched.push(payload.votes),
+        label: item => item.code,
+    });
+
+    await run();
+    votes = 5;
+    process.env.INTEGRITY_MODE = 'block';
+    try {
+        const stats = await run();
+        assert.equal(stats.blocked, 1);
+    } finally {
+        delete process.env.INTEGRITY_MODE;
+    }
+    assert.deepEqual(touched, [10]);
+});
+
+test('a run reloads only the lookups of its own sync', async () => {
+    env.pocketbase.seed('lookup_provinces', [{ code: 'P1' }]);
+    const own = engine.createLookup('lookup_provinces', record => record.code);
+    const other = engine.createLookup('lookup_provinces', record => record.code);
+    const loads = () => env.pocketbase.requests.filter(r => r.method === 'GET' && r.path.includes('/lookup_provinces/')).length;
+
+    const run = engine.createDerive({
+        title: 'Lookup Scope Test',
+        items: async pb => [{ code: 'P1', province: await own(pb, 'P1') }],
+        lookups: [own],
+        collection: 'lookup_scope',
+        matchField: 'code',
+        key: item => item.code,
+        payload: item => item,
+        label: item => item.code,
+    });
+
+    const pb = await (await import('../pb.js')).authenticate();
+    await other(pb, 'P1');
+    const before = loads();
+    await run();
+    await run();
+    // `own` is loaded once per run, `other` keeps its cache
+    assert.equal(loads(), before + 2);
+    await other(pb, 'P1');
+    assert.equal(loads(), before + 2);
+});
+
+test('dry run computes changes without writing', async () => {
+    const run = engine.createSync({
+        title: 'Dry Run Test',
+        source: { URL: process.env.SOURCE_PROVINCES_URL, TOKEN: 'test-token', KEY: 'provinces' },
+        collection: 'dry_run_provinces',
+        matchField: 'code',
+        key: item => item.code,
+        payload: item => ({ code: item.code, name: item.name }),
+        label: item => item.name,
+    });
+
+    process.env.DRY_RUN = '1';
+    try {
+        const stats = await run();
+        assert.equal(stats.created, env.election.provinces.length);
+    } finally {
+        delete process.env.DRY_RUN;
+    }
+    assert.equal(env.pocketbase.list('dry_run_provinces').length, 0);
+});
+
+test('schema validation reports missing, mistyped and failed fields', () => {
+    const rules = {
+        'electionArea.areaNumber': 'number',
+        id: 'string|number',
+        rank: 'number?',
+        options: options => options?.length > 0 || 'has no options',
+    };
+    assert.deepEqual(schema.validate({ electionArea: { areaNumber: 3 }, id: 7, options: [1] }, rules), []);
+    assert.deepEqual(schema.validate({ area: { number: 3 }, id: true, rank: '1', options: [] }, rules), [
+        'electionArea.areaNumber: missing (expected number)',
+        'id: expected string or number, got boolean',
+        'rank: expected number, got string',
+        'options: has no options',
+    ]);
+});
+
+test('a few invalid items are quarantined and the rest are synced', async () => {
+    const items = Array.from({ length: 10 }, (_, i) => ({ code: `Q${i}`, name: `Item ${i}` }));
+    items.push({ code: 11, title: 'Renamed' });
+    const paged = await pagedSource([items], { reportTotal: true });
+    const run = engine.createSync({
+        title: 'Quarantine Test',
+        source: { ...paged.source, PER_PAGE: 100 },
+        schema: { code: 'string', name: 'string' },
+        collection: 'quarantine_items',
+        matchField: 'code',
+        key: item => item.code,
+        payload: item => ({ code: item.code, name: item.name }),
+        label: item => item.name,
+    });
+
+    try {
+        const stats = await run();
+        assert.equal(stats.created, 10);
+        assert.equal(stats.quarantined, 1);
+    } finally {
+        paged.close();
+    }
+
+    const [report] = fs.readdirSync(env.quarantineDir).filter(name => name.startsWith('quarantine-test-'));
+    const { records, undeclaredFields } = JSON.parse(fs.readFileSync(`${env.quarantineDir}/${report}`, 'utf8'));
+    assert.deepEqual(records.map(record => record.item), [{ code: 11, title: 'Renamed' }]);
+    assert.deepEqual(undeclaredFields, ['title']);
+});
+
+test('integrity checks catch inconsistent totals, percentages and ranks', () => {
+    assert.deepEqual(integrity.checkVoteSum({ goodVotes: 90, invalidVotes: 5, noVotes: 5, totalVotes: 100 }), []);
+    assert.equal(integrity.checkVoteSum({ goodVotes: 90, invalidVotes: 5, noVotes: 5, totalVotes: 99 }).length, 1);
+    assert.equal(integrity.checkCoverage({ stationsReported: 11, totalStations: 10 }).length, 1);
+    assert.deepEqual(integrity.checkNotDecreased({ totalVotes: 10, goodVotes: 5 }, { totalVotes: 9, goodVotes: 6 }, ['totalVotes', 'goodVotes']), [
+        'totalVotes went down: 10 → 9',
+    ]);
+
+    const candidates = [
+        { area: 'A', percentage: 60, rank: 1 }, { area: 'A', percentage: 40, rank: 2 },
+        { area: 'B', percentage: 50, rank: 1 }, { area: 'B', percentage: 30, rank: 3 },
+        { area: 'C', percentage: 50, rank: 1 }, { area: 'C', percentage: 50, rank: 1 },
+        { area: 'D', percentage: 0, rank: 0 }, { area: 'D', percentage: 0, rank: 0 },
+    ];
+    assert.deepEqual(integrity.checkAreaResults(candidates, c => c.area), [
+        { label: 'Area B', message: 'candidate percentages add up to 80.00%' },
+        { label: 'Area B', message: 'ranks are not contiguous: 1, 3' },
+    ]);
+});
+
+test('party-list seats follow largest remainder with threshold and list caps', () => {
+    const parties = [{ id: 'A', votes: 4700 }, { id: 'B', votes: 3300 }, { id: 'C', votes: 1600 }, { id: 'D', votes: 400 }];
+    const seats = options => Object.fromEntries(allocation.allocateSeats(parties, { seats: 10, thresholdPercent: 0, ...options }));
+
+    // Quotas 4.7, 3.3, 1.6, 0.4: the two seats left go to A (.7) and C (.6)
+    assert.deepEqual(seats(), { A: 5, B: 3, C: 2, D: 0 });
+    // C is under 20% and drops out; B and A split its share
+    assert.deepEqual(seats({ thresholdPercent: 20 }), { A: 6, B: 4, C: 0, D: 0 });
+    // A only has 3 list candidates, so the other parties share its remaining seats
+    parties[0].listSize = 3;
+    assert.deepEqual(seats(), { A: 3, B: 4, C: 2, D: 1 });
+});
+
+test('referendum results keep any number of options', () => {
+    const item = {
+        questionNumber: 1, goodVotes: 100, totalVotes: 110, invalidVotes: 6, noVotes: 4,
+        options: [
+            { optionCode: 'agree', totalVotes: 40, percentage: 40, rank: 1 },
+            { optionCode: 'disagree', totalVotes: 40, percentage: 40, rank: 1 },
+            { optionCode: 'abstain', totalVotes: 20, percentage: 20, rank: 3 },
+        ],
+    };
+    assert.deepEqual(schema.validate(item, referendum.RESULT_SCHEMA), []);
+    assert.deepEqual(referendum.checkOptionSum(item), []);
+
+    const fields = referendum.resultFields(item);
+    assert.deepEqual(fields.options.map(o => [o.code, o.totalVotes]), [['agree', 40], ['disagree', 40], ['abstain', 20]]);
+    assert.equal(fields.leading, 'tie');
+    assert.equal(referendum.leadingOption([{ code: 'abstain', totalVotes: 3 }, { code: 'agree', totalVotes: 2 }]), 'abstain');
+    assert.deepEqual(schema.validate({ ...item, options: [] }, referendum.RESULT_SCHEMA), ['options: has no options']);
+});
+
+test('seat tallies count leading and won areas, percentages round to 2 decimals', () => {
+    const areas = [
+        { leaderParty: 'a', status: 'won' },
+        { leaderParty: 'a', status: 'leading' },
+        { leaderParty: 'b', status: 'pending' },
+        { leaderParty: '', status: 'leading' },
+    ];
+    assert.deepEqual(tally.countSeats(areas), { seatsLed: { a: 2 }, seatsWon: { a: 1 } });
+    assert.equal(tally.percentage(1, 3), 33.33);
+    assert.equal(tally.percentage(1, 0), 0);
+});
+
+/**
+ * A plain provinces sync into its own collection, for the webhook tests
+ */
+function provinceSync(title, collection) {
+    return engine.createSync({
+        title,
+        source: { URL: process.env.SOURCE_PROVINCES_URL, TOKEN: 'test-token', KEY: 'provinces' },
+        collection,
+        matchField: 'code',
+        key: item => item.code,
+        payload: item => ({ code: item.code, name: item.name }),
+        label: item => item.name,
+    });
+}
+
+const queued = () => fs.readdirSync(env.webhookQueueDir).filter(name => name.endsWith('.json'));
+
+test('each run is posted to the webhook targets, signed, and queued while they fail', async () => {
+    const run = provinceSync('Webhook Test', 'webhook_provinces');
+
+    // Notifications of the earlier tests are still going out in the background
+    await webhooks.whenWebhooksIdle();
+    const before = hook.requests.length;
+    await run();
+    await webhooks.whenWebhooksIdle();
+    const [delivery] = hook.requests.slice(before);
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.sync, 'Webhook Test');
+    assert.equal(payload.stats.created, env.election.provinces.length);
+    assert.deepEqual(payload.changed.sort(), env.pocketbase.list('webhook_provinces').map(r => r.id).sort());
+    assert.equal(delivery.headers['x-webhook-signature'], webhooks.sign(delivery.headers['x-webhook-timestamp'], delivery.body, 'hook-secret'));
+
+    hook.failing = true;
+    try {
+        await run();
+        await webhooks.whenWebhooksIdle();
+    } finally {
+        hook.failing = false;
+    }
+    assert.equal(hook.requests.length, before + 1);
+    assert.equal(fs.readdirSync(env.webhookQueueDir).length, 1);
+
+    // The queued delivery goes out before the next one
+    await run();
+    await webhooks.whenWebhooksIdle();
+    assert.equal(hook.requests.length, before + 3);
+    assert.equal(fs.readdirSync(env.webhookQueueDir).length, 0);
+});
+
+test('unreadable, orphaned and rejected webhook deliveries never block the queue', async () => {
+    const run = provinceSync('Webhook Queue Test', 'webhook_queue_provinces');
+    const dead = () => fs.readdirSync(path.join(env.webhookQueueDir, 'dead'));
+
+    fs.writeFileSync(path.join(env.webhookQueueDir, '0-corrupt.json'), '{"url": ');
+    fs.writeFileSync(path.join(env.webhookQueueDir, '1-removed.json'), JSON.stringify({ url: 'http://127.0.0.1:9/gone', body: '{}' }));
+
+    const before = hook.requests.length;
+    await run();
+    await webhooks.whenWebhooksIdle();
+    assert.equal(hook.requests.length, before + 1);
+    assert.deepEqual(queued(), []);
+    assert.deepEqual(dead(), ['0-corrupt.json']);
+
+    // A 4xx will not succeed later either: parked, not queued
+    hook.rejecting = true;
+    try {
+        await run();
+        await webhooks.whenWebhooksIdle();
+    } finally {
+        hook.rejecting = false;
+    }
+    assert.deepEqual(queued(), []);
+    assert.equal(dead().length, 2);
+});
+
+test('a hanging webhook target does not hold up the sync', async () => {
+    const run = provinceSync('Webhook Hang Test', 'webhook_hang_provinces');
+
+    hook.hanging = true;
+    try {
+        const stats = await run();
+        // The sync is done while its delivery is still waiting for an answer
+        assert.equal(stats.created, env.election.provinces.length);
+        assert.equal(queued().length, 1);
+        await webhooks.whenWebhooksIdle();
+    } finally {
+        hook.hanging = false;
+    }
+    assert.equal(queued().length, 1);
+
+    const before = hook.requests.length;
+    await run();
+    await webhooks.whenWebhooksIdle();
+    assert.equal(hook.requests.length, before + 2);
+    assert.deepEqual(queued(), []);
+});
+
+/**
+ * GET `url` through lib/source.js in a separate process, as each npm script runs in its own
+ * @returns {Promise<Object>} Response data
+ */
+async function getSourceInProcess(url, env) {
+    const code = `import { getSource } from ${JSON.stringify(new URL('../lib/source.js', import.meta.url).href)};
+        const response = await getSource(process.argv[1]);
+        console.log(JSON.stringify(response.data));`;
+    const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', code, url], {
+        env: { ...process.env, ...env },
+        timeout: 20000,
+    });
+    return JSON.parse(stdout.trim().split('\n').pop());
+}
+
+test('responses recorded by several processes into one session replay together', async () => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ path: req.url }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const archive = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-'));
+
+    try {
+        const record = { SOURCE_MODE: 'record', SOURCE_ARCHIVE_DIR: archive, SOURCE_RECORD_SESSION: 'election-night' };
+        await getSourceInProcess(`${base}/provinces`, record);
+        await getSourceInProcess(`${base}/areas`, record);
+        assert.deepEqual(fs.readdirSync(archive), ['election-night']);
+
+        // Replay needs no network
+        server.close();
+        const replay = { SOURCE_MODE: 'replay', SOURCE_ARCHIVE_DIR: archive, SOURCE_REPLAY_SESSION: 'election-night' };
+        assert.deepEqual(await getSourceInProcess(`${base}/provinces`, replay), { path: '/provinces' });
+        assert.deepEqual(await getSourceInProcess(`${base}/areas`, replay), { path: '/areas' });
+    } finally {
+        if (server.listening) server.close();
+        fs.rmSync(archive, { recursive: true, force: true });
+    }
+});